@@ -0,0 +1,25 @@
+function createLruCache({ maxEntries }) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      while (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, value);
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+module.exports = { createLruCache };
@@ -0,0 +1,52 @@
+const path = require('path');
+const fs = require('fs');
+const { z } = require('zod');
+
+const manifestPath = path.join(__dirname, 'assets', 'characters.json');
+
+// textColor is optional; characters without it use the theme palette, which
+// also follows darkmode=auto. head is the face box (fractions of the image)
+// shown in style=badge; without it the whole image is used.
+const characterSchema = z.object({
+  key: z.string().regex(/^[a-z0-9-]+$/),
+  name: z.string().min(1),
+  file: z.string().min(1),
+  scale: z.number().min(0.1).max(2),
+  anchor: z.object({
+    x: z.number().min(0).max(1),
+    y: z.number().min(0).max(1),
+  }),
+  rotation: z.number().min(-180).max(180).default(0),
+  textColor: z.string().regex(/^#[0-9a-fA-F]{3,8}$/).optional(),
+  head: z
+    .object({
+      x: z.number().min(0).max(1),
+      y: z.number().min(0).max(1),
+      width: z.number().gt(0).max(1),
+      height: z.number().gt(0).max(1),
+    })
+    .optional(),
+});
+
+const manifestSchema = z
+  .array(characterSchema)
+  .min(1)
+  .refine((characters) => new Set(characters.map((c) => c.key)).size === characters.length, {
+    message: 'Character keys must be unique',
+  });
+
+function loadCharacters(filePath = manifestPath) {
+  const result = manifestSchema.safeParse(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  if (!result.success) {
+    throw new Error(`Invalid character manifest ${filePath}: ${z.prettifyError(result.error)}`);
+  }
+
+  return result.data.map((character) => {
+    if (!fs.existsSync(path.join(path.dirname(filePath), character.file))) {
+      throw new Error(`Invalid character manifest ${filePath}: ${character.file} does not exist`);
+    }
+    return { ...character, path: `/assets/${character.file}` };
+  });
+}
+
+module.exports = { loadCharacters };
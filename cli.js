@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { z } = require('zod');
+
+const { backends, createStorage } = require('./storage');
+const { granularities } = require('./storage/history');
+
+const usage = `Usage:
+  node cli.js export  [--backend <name>] [--path <file>] [--format json|csv] [--out <file>]
+  node cli.js import  <file> [--backend <name>] [--path <file>] [--strategy overwrite|max|sum] [--dry-run]
+  node cli.js migrate --from <name> --to <name> [--from-path <file>] [--to-path <file>]
+                      [--strategy overwrite|max|sum] [--dry-run]
+
+Backends: ${Object.keys(backends).join(', ')} (default: STORAGE_BACKEND or auto-detect)
+--path points the file and sqlite backends at a specific file.
+Import reads the export JSON ({"name": value}) or CSV (name,value) format.
+Migrate also copies claims and history, and merges unique visitors between the
+file, memory and sqlite backends.`;
+
+const strategies = {
+  overwrite: (current, incoming) => incoming,
+  max: (current, incoming) => Math.max(current, incoming),
+  sum: (current, incoming) => current + incoming,
+};
+
+const countsSchema = z.record(z.string().min(1).max(128), z.number().int().min(0));
+
+// Adapter setup messages go to stderr so stdout stays clean for exported data.
+const stderrLogger = { log: console.error, warn: console.warn, error: console.error };
+
+function openStorage(backend, filePath) {
+  return createStorage(filePath ? { backend, filePath, logger: stderrLogger } : { backend, logger: stderrLogger });
+}
+
+function toCsvField(value) {
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some(Boolean));
+}
+
+function readCounts(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let counts;
+  if (text.trimStart().startsWith('{')) {
+    counts = JSON.parse(text);
+  } else {
+    const rows = parseCsv(text);
+    if (rows.length && rows[0][0] === 'name' && rows[0][1] === 'value') rows.shift();
+    counts = Object.fromEntries(rows.map(([name, value]) => [name, Number(value)]));
+  }
+  const parsed = countsSchema.safeParse(counts);
+  if (!parsed.success) {
+    throw new Error(`${file} is not a valid counter export: ${parsed.error.issues[0].message}`);
+  }
+  return parsed.data;
+}
+
+function formatCounts(entries, format) {
+  if (format === 'csv') {
+    return ['name,value', ...entries.map(({ name, value }) => `${toCsvField(name)},${value}`)].join('\n') + '\n';
+  }
+  return JSON.stringify(Object.fromEntries(entries.map(({ name, value }) => [name, value])), null, 2) + '\n';
+}
+
+function resolveStrategy(strategyName) {
+  const merge = strategies[strategyName];
+  if (!merge) {
+    throw new Error(`Unknown strategy "${strategyName}" (expected one of: ${Object.keys(strategies).join(', ')})`);
+  }
+  return merge;
+}
+
+async function applyCounts(target, incoming, strategyName, dryRun) {
+  const merge = resolveStrategy(strategyName);
+
+  const existing = new Map((await target.list()).map(({ name, value }) => [name, value]));
+  const summary = { added: 0, changed: 0, unchanged: 0 };
+
+  for (const [name, value] of Object.entries(incoming)) {
+    const current = existing.get(name);
+    const next = merge(current || 0, value);
+    if (current === next) {
+      summary.unchanged++;
+      continue;
+    }
+
+    if (current === undefined) {
+      summary.added++;
+      process.stdout.write(`+ ${name}: ${next}\n`);
+    } else {
+      summary.changed++;
+      process.stdout.write(`~ ${name}: ${current} -> ${next}\n`);
+    }
+
+    if (dryRun) continue;
+    if (strategyName === 'sum') {
+      await target.increment(name, value);
+    } else {
+      await target.set(name, next);
+    }
+  }
+
+  process.stdout.write(
+    `${dryRun ? 'Dry run: would add' : 'Added'} ${summary.added}, ` +
+    `${dryRun ? 'change' : 'changed'} ${summary.changed}, ${summary.unchanged} unchanged\n`
+  );
+}
+
+async function copyOwners(source, target, dryRun) {
+  const summary = { copied: 0, conflicts: 0, unchanged: 0 };
+  for (const { name, tokenHash } of await source.listOwners()) {
+    const current = await target.getOwner(name);
+    if (current === tokenHash) {
+      summary.unchanged++;
+      continue;
+    }
+    if (current) {
+      summary.conflicts++;
+      process.stdout.write(`! ${name}: already claimed in ${target.type}, keeping that claim\n`);
+      continue;
+    }
+    summary.copied++;
+    process.stdout.write(`+ ${name}: claim\n`);
+    if (!dryRun) await target.claimOwner(name, tokenHash);
+  }
+
+  process.stdout.write(
+    `${dryRun ? 'Dry run: would copy' : 'Copied'} ${summary.copied} claims, ` +
+    `${summary.conflicts} conflicting, ${summary.unchanged} unchanged\n`
+  );
+}
+
+async function copyHistory(source, target, names, strategyName, dryRun) {
+  const merge = resolveStrategy(strategyName);
+  let copied = 0;
+  for (const name of names) {
+    for (const granularity of Object.keys(granularities)) {
+      const incoming = await source.getBuckets(name, granularity);
+      const existing = await target.getBuckets(name, granularity);
+      for (const [bucket, value] of Object.entries(incoming)) {
+        const current = existing[bucket] || 0;
+        const by = merge(current, value) - current;
+        if (!by) continue;
+        copied++;
+        if (!dryRun) await target.incrementBucket(name, granularity, bucket, by);
+      }
+    }
+  }
+  process.stdout.write(`${dryRun ? 'Dry run: would copy' : 'Copied'} ${copied} history buckets\n`);
+}
+
+async function copyVisitors(source, target, names, dryRun) {
+  if (!source.getVisitorRegisters || !target.mergeVisitorRegisters) {
+    console.error(`Unique-visitor data can't be copied from ${source.type} to ${target.type}; unique counts start over there`);
+    return;
+  }
+  let copied = 0;
+  for (const name of names) {
+    const registers = await source.getVisitorRegisters(name);
+    if (!registers) continue;
+    copied++;
+    if (!dryRun) await target.mergeVisitorRegisters(name, registers);
+  }
+  process.stdout.write(`${dryRun ? 'Dry run: would merge' : 'Merged'} unique visitors for ${copied} counters\n`);
+}
+
+async function runExport(options) {
+  const format = options.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    throw new Error(`Unknown format "${format}" (expected json or csv)`);
+  }
+  const storage = openStorage(options.backend, options.path);
+  try {
+    const output = formatCounts(await storage.list(), format);
+    if (options.out) {
+      fs.writeFileSync(options.out, output, 'utf8');
+      console.error(`Exported ${storage.type} counters to ${options.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+async function runImport(file, options) {
+  if (!file) throw new Error('import needs a file to read');
+  const incoming = readCounts(file);
+  const storage = openStorage(options.backend, options.path);
+  try {
+    await applyCounts(storage, incoming, options.strategy || 'overwrite', options['dry-run']);
+  } finally {
+    await storage.close();
+  }
+}
+
+async function runMigrate(options) {
+  if (!options.from || !options.to) throw new Error('migrate needs --from and --to');
+  const strategyName = options.strategy || 'overwrite';
+  resolveStrategy(strategyName);
+  const source = openStorage(options.from, options['from-path']);
+  const target = openStorage(options.to, options['to-path']);
+  const dryRun = options['dry-run'];
+  try {
+    const entries = await source.list();
+    const names = entries.map(({ name }) => name);
+    const incoming = Object.fromEntries(entries.map(({ name, value }) => [name, value]));
+    console.error(`Copying ${entries.length} counters from ${source.type} to ${target.type}`);
+    // Claims go first so no counter is briefly unclaimed in the target.
+    await copyOwners(source, target, dryRun);
+    await applyCounts(target, incoming, strategyName, dryRun);
+    await copyHistory(source, target, names, strategyName, dryRun);
+    await copyVisitors(source, target, names, dryRun);
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      backend: { type: 'string' },
+      path: { type: 'string' },
+      format: { type: 'string' },
+      out: { type: 'string' },
+      strategy: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'from-path': { type: 'string' },
+      'to-path': { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  const [command, file] = positionals;
+
+  if (options.help || !command) {
+    process.stdout.write(`${usage}\n`);
+    return;
+  }
+
+  if (command === 'export') return runExport(options);
+  if (command === 'import') return runImport(file, options);
+  if (command === 'migrate') return runMigrate(options);
+  throw new Error(`Unknown command "${command}"\n\n${usage}`);
+}
+
+main().then(
+  () => process.exit(0),
+  (err) => {
+    console.error(err.message);
+    process.exit(1);
+  }
+);
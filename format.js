@@ -0,0 +1,92 @@
+const numberFormats = ['padded', 'plain', 'grouped', 'compact'];
+
+function isValidLocale(lang) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([lang]).length > 0;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Digits stay Latin in every locale: the pixel fonts and the per-digit
+// character logic only know 0-9.
+function formatValue(value, { format = 'padded', padding = 7, lang = 'en' } = {}) {
+  if (format === 'plain') return String(value);
+  if (format === 'grouped') {
+    return new Intl.NumberFormat(lang, { useGrouping: true, numberingSystem: 'latn' }).format(value);
+  }
+  if (format === 'compact') {
+    return new Intl.NumberFormat(lang, {
+      notation: 'compact',
+      compactDisplay: 'short',
+      maximumFractionDigits: 1,
+      numberingSystem: 'latn',
+    }).format(value);
+  }
+  return String(value).padStart(padding, '0');
+}
+
+// Accessible names by base language; `one` is used when Intl.PluralRules says so.
+const accessibleMessages = {
+  en: {
+    views: { one: '{count} profile view for {name}', other: '{count} profile views for {name}' },
+    unique: { one: '{count} unique visitor for {name}', other: '{count} unique visitors for {name}' },
+    desc: 'View counter showing {display}',
+  },
+  es: {
+    views: { one: '{count} visita al perfil de {name}', other: '{count} visitas al perfil de {name}' },
+    unique: { one: '{count} visitante único de {name}', other: '{count} visitantes únicos de {name}' },
+    desc: 'Contador de visitas que muestra {display}',
+  },
+  fr: {
+    views: { one: '{count} vue du profil de {name}', other: '{count} vues du profil de {name}' },
+    unique: { one: '{count} visiteur unique pour {name}', other: '{count} visiteurs uniques pour {name}' },
+    desc: 'Compteur de vues affichant {display}',
+  },
+  de: {
+    views: { one: '{count} Profilaufruf für {name}', other: '{count} Profilaufrufe für {name}' },
+    unique: { one: '{count} eindeutiger Besucher für {name}', other: '{count} eindeutige Besucher für {name}' },
+    desc: 'Besucherzähler mit der Anzeige {display}',
+  },
+  pt: {
+    views: { one: '{count} visualização do perfil de {name}', other: '{count} visualizações do perfil de {name}' },
+    unique: { one: '{count} visitante único de {name}', other: '{count} visitantes únicos de {name}' },
+    desc: 'Contador de visualizações mostrando {display}',
+  },
+  ja: {
+    views: { other: '{name} のプロフィール閲覧数 {count}' },
+    unique: { other: '{name} のユニーク訪問者数 {count}' },
+    desc: '{display} を表示する閲覧数カウンター',
+  },
+  zh: {
+    views: { other: '{name} 的个人资料浏览量：{count}' },
+    unique: { other: '{name} 的独立访客数：{count}' },
+    desc: '显示 {display} 的浏览量计数器',
+  },
+};
+
+function fillMessage(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => String(values[key]));
+}
+
+function accessibleText({ value, name, unique, display, lang = 'en' }) {
+  const baseLanguage = new Intl.Locale(lang).language;
+  const messages = accessibleMessages[baseLanguage] || accessibleMessages.en;
+  const locale = accessibleMessages[baseLanguage] ? lang : 'en';
+  const forms = unique ? messages.unique : messages.views;
+  const plural = new Intl.PluralRules(locale).select(value);
+  const count = new Intl.NumberFormat(locale).format(value);
+
+  return {
+    title: fillMessage(forms[plural] || forms.other, { count, name }),
+    desc: fillMessage(messages.desc, { display }),
+    lang: locale,
+  };
+}
+
+module.exports = {
+  numberFormats,
+  isValidLocale,
+  formatValue,
+  accessibleText,
+};
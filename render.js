@@ -0,0 +1,818 @@
+const path = require('path');
+const fs = require('fs');
+const subsetFont = require('subset-font');
+const { themes, scenes, withFont } = require('./themes');
+const { createLruCache } = require('./cache');
+const { formatValue, accessibleText } = require('./format');
+
+let sharp;
+try {
+  sharp = require('sharp');
+} catch (e) {
+  console.warn('sharp not available, using original images (may be large)');
+}
+
+const assetsPath = path.join(__dirname, 'assets');
+const imageDataUriCache = new Map();
+const fontDataUriCache = new Map();
+const fontSubsetCache = new Map();
+const fontSubsetCacheSize = 256;
+const sceneCache = createLruCache({ maxEntries: 64 });
+const headDataUriCache = new Map();
+
+async function imageToDataUri(imagePath) {
+  if (imageDataUriCache.has(imagePath)) {
+    return imageDataUriCache.get(imagePath);
+  }
+
+  try {
+    const fullPath = path.join(assetsPath, path.basename(imagePath));
+    let imageBuffer;
+    
+    if (sharp) {
+      try {
+        imageBuffer = await sharp(fullPath)
+          .resize(120, null, { 
+            withoutEnlargement: true,
+            fit: 'inside',
+            kernel: sharp.kernel.lanczos3
+          })
+          .png({ 
+            compressionLevel: 9,
+            adaptiveFiltering: true,
+            palette: true,
+            quality: 70
+          })
+          .toBuffer();
+      } catch (sharpErr) {
+        console.warn(`Sharp compression failed for ${imagePath}, using original:`, sharpErr);
+        imageBuffer = fs.readFileSync(fullPath);
+      }
+    } else {
+      imageBuffer = fs.readFileSync(fullPath);
+    }
+    
+    const mimeType = imagePath.endsWith('.png') ? 'image/png' : 'image/jpeg';
+    const base64 = imageBuffer.toString('base64');
+    const dataUri = `data:${mimeType};base64,${base64}`;
+    
+    imageDataUriCache.set(imagePath, dataUri);
+    return dataUri;
+  } catch (err) {
+    console.error(`Failed to load image ${imagePath}:`, err);
+    return imagePath;
+  }
+}
+
+async function loadCharacterImages(characters) {
+  for (const character of characters) {
+    if (!imageDataUriCache.has(character.path)) {
+      try {
+        await imageToDataUri(character.path);
+      } catch (err) {
+        console.error(`Failed to load ${character.path}:`, err);
+      }
+    }
+  }
+}
+
+async function preloadImages() {
+  console.log('Pre-loading and compressing images...');
+  const imagePaths = new Set(
+    Object.values(themes).flatMap((theme) => theme.characters.map((character) => character.path))
+  );
+  for (const imgPath of imagePaths) {
+    try {
+      await imageToDataUri(imgPath);
+      const cached = imageDataUriCache.get(imgPath);
+      const sizeKB = cached ? (cached.length * 3 / 4 / 1024).toFixed(0) : 0;
+      console.log(`Loaded ${imgPath}: ${sizeKB}KB`);
+    } catch (err) {
+      console.error(`Failed to pre-load ${imgPath}:`, err);
+    }
+  }
+  const totalSize = Array.from(imageDataUriCache.values())
+    .reduce((sum, uri) => sum + (uri.length * 3 / 4), 0) / 1024 / 1024;
+  console.log(`All images loaded. Total size: ${totalSize.toFixed(2)}MB`);
+}
+
+function fontDataUri(file) {
+  if (!fontDataUriCache.has(file)) {
+    const buffer = fs.readFileSync(path.join(assetsPath, 'fonts', file));
+    fontDataUriCache.set(file, `data:font/woff2;base64,${buffer.toString('base64')}`);
+  }
+  return fontDataUriCache.get(file);
+}
+
+async function subsetFontDataUri(file, text) {
+  const glyphs = Array.from(new Set(text)).sort().join('');
+  const cacheKey = `${file}:${glyphs}`;
+  if (fontSubsetCache.has(cacheKey)) {
+    return fontSubsetCache.get(cacheKey);
+  }
+
+  let dataUri;
+  try {
+    const buffer = fs.readFileSync(path.join(assetsPath, 'fonts', file));
+    const subset = await subsetFont(buffer, glyphs, { targetFormat: 'woff2' });
+    dataUri = `data:font/woff2;base64,${subset.toString('base64')}`;
+  } catch (err) {
+    console.warn(`Font subsetting failed for ${file}, embedding the full font:`, err);
+    dataUri = fontDataUri(file);
+  }
+
+  if (fontSubsetCache.size >= fontSubsetCacheSize) {
+    fontSubsetCache.delete(fontSubsetCache.keys().next().value);
+  }
+  fontSubsetCache.set(cacheKey, dataUri);
+  return dataUri;
+}
+
+function fontStyle(font, dataUri) {
+  if (!dataUri) return '';
+  return `
+    <style type="text/css"><![CDATA[
+      @font-face {
+        font-family: '${font.family}';
+        src: url('${dataUri}') format('woff2');
+      }
+    ]]></style>`;
+}
+
+async function headDataUri(character) {
+  if (headDataUriCache.has(character.key)) {
+    return headDataUriCache.get(character.key);
+  }
+  if (!sharp || !character.head) {
+    return imageToDataUri(character.path);
+  }
+
+  try {
+    const fullPath = path.join(assetsPath, path.basename(character.path));
+    const { width, height } = await sharp(fullPath).metadata();
+    const { head } = character;
+    const buffer = await sharp(fullPath)
+      .extract({
+        left: Math.round(head.x * width),
+        top: Math.round(head.y * height),
+        width: Math.round(Math.min(head.width, 1 - head.x) * width),
+        height: Math.round(Math.min(head.height, 1 - head.y) * height),
+      })
+      .resize(40, 40, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png({ compressionLevel: 9, palette: true })
+      .toBuffer();
+    const dataUri = `data:image/png;base64,${buffer.toString('base64')}`;
+    headDataUriCache.set(character.key, dataUri);
+    return dataUri;
+  } catch (err) {
+    console.warn(`Failed to crop head for ${character.key}, using the full image:`, err);
+    return imageToDataUri(character.path);
+  }
+}
+
+async function sceneDataUri(sceneName, width, height, { blur, dim }) {
+  const cacheKey = JSON.stringify([sceneName, width, height, blur, dim]);
+  const cached = sceneCache.get(cacheKey);
+  if (cached) return cached;
+
+  if (!sharp) {
+    throw new Error('sharp is not installed');
+  }
+  let image = sharp(path.join(assetsPath, scenes[sceneName].file))
+    .resize(width, height, { fit: 'cover', position: 'bottom' });
+  // sharp rejects a sigma below 0.3, the smallest blur it can apply.
+  if (blur) image = image.blur(Math.max(blur, 0.3));
+  if (dim) image = image.modulate({ brightness: 1 - dim });
+  const buffer = await image.jpeg({ quality: 70, mozjpeg: true }).toBuffer();
+
+  const dataUri = `data:image/jpeg;base64,${buffer.toString('base64')}`;
+  sceneCache.set(cacheKey, dataUri);
+  return dataUri;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function fontFamily(font) {
+  return font.family ? `'${font.family}', ${font.fallback}` : font.fallback;
+}
+
+function pickPalette(theme, darkmode) {
+  return darkmode === '1' ? theme.palettes.dark : theme.palettes.light;
+}
+
+// In auto mode the light palette is written as presentation attributes and
+// overridden from CSS, which wins over attributes, when the viewer prefers dark.
+function paletteStyle(theme, darkmode) {
+  if (darkmode !== '0' && darkmode !== '1') {
+    const { dark } = theme.palettes;
+    return `
+    <style type="text/css"><![CDATA[
+      @media (prefers-color-scheme: dark) {
+        .counter-text { fill: ${dark.text}; }
+        .counter-outline { stroke: ${dark.frame}; }
+        .counter-card { fill: ${dark.digitBg}; stroke: ${dark.digitBorder}; }
+        .counter-panel { fill: ${dark.bg}; }
+      }
+    ]]></style>`;
+  }
+  return '';
+}
+
+function characterId(character) {
+  return `character-${character.key}`;
+}
+
+function renderCharacterDef(character, width, height) {
+  const imgHref = imageDataUriCache.get(character.path) || character.path;
+  return `
+    <image
+      id="${characterId(character)}"
+      href="${imgHref}"
+      x="0"
+      y="0"
+      width="${width}"
+      height="${height}"
+      preserveAspectRatio="meet"
+    />`;
+}
+
+function renderCellText({ char, x, y, transform, baseline, weight, fontSize, color, style, theme, palette, roll }) {
+  const fill = style.color || color;
+  const classes = [];
+  if (!fill) classes.push('counter-text');
+  let outline = '';
+  if (style.strokeWidth) {
+    if (!style.stroke) classes.push('counter-outline');
+    outline = `
+          stroke="${style.stroke || palette.frame}"
+          stroke-width="${style.strokeWidth}"
+          stroke-linejoin="round"
+          paint-order="stroke"`;
+  }
+
+  const text = (content, textY, textTransform) => `
+        <text
+          x="${x}"
+          y="${textY}"${textTransform == null ? '' : `
+          transform="${textTransform}"`}
+          text-anchor="middle"
+          dominant-baseline="${baseline}"
+          font-family="${fontFamily(theme.font)}"
+          font-size="${fontSize}"
+          font-weight="${weight}"
+          fill="${fill || palette.text}"${outline}${classes.length ? `
+          class="${classes.join(' ')}"` : ''}
+        >
+          ${escapeXml(content)}
+        </text>`;
+
+  if (!roll) {
+    return text(char, y, transform);
+  }
+
+  // Digits are stacked above the current one, starting from the previous
+  // digit, and the column rolls up into place inside a one-line clip like an
+  // odometer.
+  const lineHeight = fontSize * 1.2;
+  let column = '';
+  for (let step = 0; step <= roll.steps; step++) {
+    column += text((roll.from + step) % 10, y - (roll.steps - step) * lineHeight);
+  }
+  return `
+        <clipPath id="counter-roll-clip-${roll.id}">
+          <rect x="${x - fontSize}" y="${y - lineHeight / 2}" width="${fontSize * 2}" height="${lineHeight}" />
+        </clipPath>
+        <g transform="${transform || ''}" clip-path="url(#counter-roll-clip-${roll.id})">
+          <g class="counter-roll" style="animation-name: counter-roll-${roll.id}">${column}
+          </g>
+        </g>`;
+}
+
+function renderCharacterCell({ char, character, width, height, style, theme, palette, roll }) {
+  const textX = width * character.anchor.x;
+  const textY = height * character.anchor.y;
+  const textTransform = character.rotation !== 0
+    ? `rotate(${character.rotation} ${textX} ${textY})`
+    : '';
+
+  return `
+        <use xlink:href="#${characterId(character)}" href="#${characterId(character)}" />${renderCellText({
+    char,
+    x: textX,
+    y: textY,
+    transform: textTransform,
+    baseline: 'middle',
+    weight: 'normal',
+    fontSize: height * theme.font.sizeRatio,
+    color: character.textColor,
+    style,
+    theme,
+    palette,
+    roll,
+  })}`;
+}
+
+function renderCardCell({ char, width, height, style, theme, palette, roll }) {
+  const { radius = 0, borderWidth = 0 } = theme.cell;
+  const inset = borderWidth / 2;
+
+  return `
+        <rect
+          x="${inset}"
+          y="${inset}"
+          width="${width - borderWidth}"
+          height="${height - borderWidth}"
+          rx="${radius}"
+          fill="${palette.digitBg}"
+          stroke="${palette.digitBorder}"
+          stroke-width="${borderWidth}"
+          class="counter-card"
+        />${renderCellText({
+    char,
+    x: width / 2,
+    y: height / 2,
+    transform: null,
+    baseline: 'central',
+    weight: 'bold',
+    fontSize: height * theme.font.sizeRatio,
+    style,
+    theme,
+    palette,
+    roll,
+  })}`;
+}
+
+function renderPlainCell({ char, width, height, style, theme, palette }) {
+  return renderCellText({
+    char,
+    x: width / 2,
+    y: height * theme.plain.anchorY,
+    transform: null,
+    baseline: 'middle',
+    weight: theme.font.family ? 'normal' : 'bold',
+    fontSize: height * theme.font.sizeRatio,
+    style,
+    theme,
+    palette,
+    roll: null,
+  });
+}
+
+function renderLabel({ label, x, y, anchor, size, color, theme, palette }) {
+  return `
+    <text
+      x="${x}"
+      y="${y}"
+      text-anchor="${anchor}"
+      dominant-baseline="middle"
+      font-family="${fontFamily(theme.font)}"
+      font-size="${size}"
+      fill="${color || palette.text}"
+      class="${color ? 'counter-label' : 'counter-text counter-label'}"
+    >
+      ${escapeXml(label)}
+    </text>`;
+}
+
+function rollFor(char, fromChar, id) {
+  if (!/[0-9]/.test(char)) return null;
+  const from = /[0-9]/.test(fromChar || '') ? Number(fromChar) : 0;
+  const steps = (Number(char) - from + 10) % 10;
+  return steps === 0 ? null : { id, from, steps };
+}
+
+// Animations only run for viewers without prefers-reduced-motion; everyone
+// else, and rasterized output, gets the final static frame.
+function animationStyle(animate, rolls, cellCount) {
+  if (!animate) return '';
+
+  let rules = '';
+  if (animate === 'roll') {
+    rules = `
+        .counter-roll { animation: 1.2s cubic-bezier(0.2, 0.8, 0.2, 1) both; }${rolls.map((roll) => `
+        @keyframes counter-roll-${roll.id} { from { transform: translateY(${roll.distance}px); } }`).join('')}`;
+  } else {
+    const keyframes = animate === 'bounce'
+      ? '0%, 100% { transform: none; } 40% { transform: translateY(-14px); } 70% { transform: translateY(-4px); }'
+      : '0% { transform: scale(0); } 70% { transform: scale(1.15); } 100% { transform: none; }';
+    rules = `
+        .counter-cell {
+          animation: counter-${animate} 0.6s ease-out both;
+          transform-box: fill-box;
+          transform-origin: center bottom;
+        }
+        @keyframes counter-${animate} { ${keyframes} }${Array.from({ length: cellCount }, (_, idx) => `
+        .counter-cell-${idx} { animation-delay: ${(idx * 0.08).toFixed(2)}s; }`).join('')}`;
+  }
+
+  return `
+    <style type="text/css"><![CDATA[
+      @media (prefers-reduced-motion: no-preference) {${rules}
+      }
+    ]]></style>`;
+}
+
+async function renderSouthParkCounter({
+  theme,
+  value,
+  padding,
+  numberFormat,
+  lang,
+  offset,
+  scale,
+  align,
+  darkmode,
+  pixelated,
+  prefix,
+  suffix,
+  label,
+  labelPosition,
+  labelSize,
+  labelColor,
+  characterOrder,
+  characterMap,
+  digitCharacters,
+  characterCells,
+  layout,
+  cols,
+  color,
+  bg,
+  stroke,
+  strokeWidth,
+  shadow,
+  radius,
+  font,
+  scene,
+  sceneBlur,
+  sceneDim,
+  animate,
+  previousValue,
+  name,
+  unique,
+  alt,
+}) {
+  theme = withFont(theme, font);
+  const palette = pickPalette(theme, darkmode);
+  const style = { color, stroke, strokeWidth };
+
+  const strValue = formatValue(value, { format: numberFormat, padding, lang });
+  const displayStr = `${prefix || ''}${strValue}${suffix || ''}`;
+
+  const { width: digitWidth, height: digitHeight, gap: digitGap } = theme.cell;
+  const paddingX = 0;
+
+  const characterImages = characterOrder && characterOrder.length
+    ? characterOrder
+    : theme.characters;
+
+  // With map=value every digit takes its entry from the ten-slot digit map
+  // wherever it sits; separators and prefix text still take their character
+  // by position, or none at all with characters=digits.
+  const pickCharacter = (char, idx) => {
+    if (!characterImages.length) return null;
+    if (characterCells === 'digits' && !/[0-9]/.test(char)) return null;
+    if (characterMap === 'value' && /[0-9]/.test(char)) {
+      return digitCharacters[Number(char)];
+    }
+    return characterImages[idx % characterImages.length];
+  };
+
+  const displayChars = Array.from(displayStr);
+  const previousChars = animate === 'roll'
+    ? Array.from(`${prefix || ''}${formatValue(previousValue ?? value, { format: numberFormat, padding, lang })}${suffix || ''}`)
+    : [];
+  const previousShift = displayChars.length - previousChars.length;
+
+  let digitIndex = 0;
+  const cells = displayChars.map((char, idx) => {
+    const slot = characterCells === 'digits' && /[0-9]/.test(char) ? digitIndex++ : idx;
+    const character = pickCharacter(char, slot);
+    const plain = !character && characterCells === 'digits' && !/[0-9]/.test(char);
+    if (plain) {
+      const height = digitHeight * theme.plain.scale;
+      return {
+        char,
+        character,
+        plain,
+        width: height * theme.font.sizeRatio * theme.font.advance * 1.2,
+        height,
+        roll: null,
+      };
+    }
+    const charScale = character ? character.scale : 1.0;
+    return {
+      char,
+      character,
+      plain,
+      width: digitWidth * charScale,
+      height: digitHeight * charScale,
+      roll: animate === 'roll' ? rollFor(char, previousChars[idx - previousShift], idx) : null,
+    };
+  });
+
+  // Cells wrap into rows of `cols` (one row for layout=row, one cell per row
+  // for layout=column). Each row is centred and its cells share a bottom line.
+  const columns = (() => {
+    if (layout === 'column') return 1;
+    if (layout === 'grid') return cols || Math.ceil(Math.sqrt(cells.length));
+    return cells.length;
+  })();
+  const rows = [];
+  for (let start = 0; start < cells.length; start += columns) {
+    const rowCells = cells.slice(start, start + columns);
+    let width = paddingX * 2;
+    rowCells.forEach((cell, idx) => {
+      width += cell.width;
+      if (idx < rowCells.length - 1) {
+        width += digitGap;
+      }
+    });
+    rows.push({ cells: rowCells, width, height: Math.max(...rowCells.map((cell) => cell.height)) });
+  }
+
+  const rowWidth = Math.max(...rows.map((row) => row.width));
+  const maxHeight = Math.max(
+    digitHeight,
+    rows.reduce((sum, row) => sum + row.height, 0) + digitGap * (rows.length - 1)
+  );
+  // The label sits above the row as a header, or beside it as a caption.
+  let totalWidth = rowWidth;
+  let totalHeight = maxHeight;
+  let rowX = 0;
+  let rowY = 0;
+  let labelSvg = '';
+  if (label) {
+    const labelWidth = Array.from(label).length * labelSize * theme.font.advance;
+    const labelGap = labelSize * 0.5;
+    const labelOptions = { label, size: labelSize, color: labelColor, theme, palette };
+    if (labelPosition === 'left' || labelPosition === 'right') {
+      totalWidth = rowWidth + labelGap + labelWidth;
+      rowX = labelPosition === 'left' ? labelWidth + labelGap : 0;
+      labelSvg = renderLabel({
+        ...labelOptions,
+        x: labelPosition === 'left' ? 0 : rowWidth + labelGap,
+        y: maxHeight * theme.plain.anchorY,
+        anchor: 'start',
+      });
+    } else {
+      const labelHeight = labelSize * 1.5;
+      totalWidth = Math.max(rowWidth, labelWidth);
+      totalHeight = maxHeight + labelHeight;
+      rowX = (totalWidth - rowWidth) / 2;
+      rowY = labelHeight;
+      labelSvg = renderLabel({ ...labelOptions, x: totalWidth / 2, y: labelHeight / 2, anchor: 'middle' });
+    }
+  }
+
+  let rowBottom = rowY + maxHeight;
+  for (let idx = rows.length - 1; idx >= 0; idx--) {
+    const row = rows[idx];
+    let cellX = rowX + (rowWidth - row.width) / 2 + paddingX + offset;
+    row.cells.forEach((cell) => {
+      cell.x = cellX;
+      cell.y = rowBottom - cell.height;
+      cellX += cell.width + digitGap;
+    });
+    rowBottom -= row.height + digitGap;
+  }
+
+  let panelSvg = '';
+  if (bg || radius) {
+    panelSvg = `
+    <rect
+      x="0"
+      y="0"
+      width="${totalWidth}"
+      height="${totalHeight}"
+      rx="${radius || 0}"
+      fill="${bg || palette.bg}"${bg ? '' : `
+      class="counter-panel"`}
+    />`;
+  }
+
+  if (scene) {
+    const sceneUri = await sceneDataUri(scene, Math.ceil(totalWidth), Math.ceil(totalHeight), {
+      blur: sceneBlur,
+      dim: sceneDim,
+    });
+    const clip = radius ? ' clip-path="url(#counter-scene-clip)"' : '';
+    panelSvg += `${radius ? `
+    <clipPath id="counter-scene-clip">
+      <rect x="0" y="0" width="${totalWidth}" height="${totalHeight}" rx="${radius}" />
+    </clipPath>` : ''}
+    <image
+      href="${sceneUri}"
+      x="0"
+      y="0"
+      width="${totalWidth}"
+      height="${totalHeight}"
+      preserveAspectRatio="xMidYMax slice"${clip}
+    />`;
+  }
+
+  const scaledWidth = totalWidth * scale;
+  const scaledHeight = totalHeight * scale;
+
+  const baselineOffset = (() => {
+    if (align === 'top') return 0;
+    if (align === 'center') return (totalHeight * (1 - scale)) / 2;
+    return totalHeight * (1 - scale);
+  })();
+
+  const shapeRendering = pixelated === 1 ? 'crispEdges' : 'auto';
+
+  const rolls = cells
+    .filter((cell) => cell.roll)
+    .map((cell) => ({ id: cell.roll.id, distance: cell.roll.steps * cell.height * theme.font.sizeRatio * 1.2 }));
+
+  const characterDefs = new Map();
+  let savedBytes = 0;
+  cells.forEach((cell) => {
+    if (!cell.character) return;
+    const def = renderCharacterDef(cell.character, cell.width, cell.height);
+    if (characterDefs.has(cell.character.key)) {
+      savedBytes += Buffer.byteLength(def);
+    } else {
+      characterDefs.set(cell.character.key, def);
+    }
+  });
+
+  let fontUri = null;
+  if (theme.font.file) {
+    const text = `${displayStr}${label || ''}`;
+    const glyphs = rolls.length ? `${text}0123456789` : text;
+    fontUri = await subsetFontDataUri(theme.font.file, glyphs);
+    savedBytes += fontDataUri(theme.font.file).length - fontUri.length;
+  }
+
+  let digitsSvg = '';
+  cells.forEach((cell, idx) => {
+    let cellSvg;
+    if (cell.character) {
+      cellSvg = renderCharacterCell({ ...cell, style, theme, palette });
+    } else if (cell.plain) {
+      cellSvg = renderPlainCell({ ...cell, style, theme, palette });
+    } else {
+      cellSvg = renderCardCell({ ...cell, style, theme, palette });
+    }
+    if (animate === 'bounce' || animate === 'pop') {
+      cellSvg = `
+        <g class="counter-cell counter-cell-${idx}">${cellSvg}
+        </g>`;
+    }
+
+    digitsSvg += `
+      <g transform="translate(${cell.x}, ${cell.y})"${shadow === 1 ? ' filter="url(#soft-shadow)"' : ''}>${cellSvg}
+      </g>
+    `;
+  });
+
+  const accessible = accessibleText({ value, name, unique, display: displayStr, lang });
+  const title = alt || accessible.title;
+
+  const svg = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<svg
+  xmlns="http://www.w3.org/2000/svg"
+  xmlns:xlink="http://www.w3.org/1999/xlink"
+  width="${scaledWidth}"
+  height="${scaledHeight}"
+  viewBox="0 0 ${totalWidth} ${totalHeight}"
+  shape-rendering="${shapeRendering}"
+  role="img"
+  aria-label="${escapeXml(title)}"
+  xml:lang="${escapeXml(accessible.lang)}"
+>
+  <title>${escapeXml(title)}</title>
+  <desc>${escapeXml(accessible.desc)}</desc>
+  <defs>${fontStyle(theme.font, fontUri)}${paletteStyle(theme, darkmode)}${animationStyle(animate, rolls, cells.length)}${Array.from(characterDefs.values()).join('')}
+    <filter id="soft-shadow" x="-20%" y="-20%" width="140%" height="140%">
+      <feDropShadow dx="0" dy="3" stdDeviation="3" flood-color="#000000" flood-opacity="0.35" />
+    </filter>
+  </defs>
+  <g transform="translate(0, ${baselineOffset}) scale(${scale})">${panelSvg}${labelSvg}
+    ${digitsSvg}
+  </g>
+</svg>
+`;
+
+  return { svg, savedBytes };
+}
+
+// Approximate Verdana 11px advances, as shields.io badges are measured.
+function badgeTextWidth(text) {
+  return Array.from(text).reduce((width, char) => {
+    if (/[0-9]/.test(char)) return width + 7;
+    if (/[A-Z]/.test(char)) return width + 7.5;
+    if (/[ .,:;'!|il]/.test(char)) return width + 3.5;
+    return width + 6.2;
+  }, 0);
+}
+
+// A 20px shields-style badge: label on the left, then the first character's
+// head and the count on the right.
+async function renderBadge({
+  theme,
+  value,
+  padding,
+  numberFormat,
+  lang,
+  darkmode,
+  label,
+  characterOrder,
+  name,
+  unique,
+  alt,
+}) {
+  const palette = pickPalette(theme, darkmode);
+  const message = formatValue(value, { format: numberFormat || 'plain', padding, lang });
+  const labelText = label || (unique === 1 ? 'visitors' : 'views');
+
+  const characters = characterOrder && characterOrder.length ? characterOrder : theme.characters;
+  const head = characters.length ? await headDataUri(characters[0]) : null;
+
+  const labelWidth = Math.round(badgeTextWidth(labelText) + 12);
+  const headWidth = head ? 18 : 0;
+  const messageWidth = Math.round(badgeTextWidth(message) + 12 + headWidth);
+  const totalWidth = labelWidth + messageWidth;
+  const messageX = labelWidth + headWidth + (messageWidth - headWidth) / 2;
+
+  const accessible = accessibleText({ value, name, unique, display: message, lang });
+  const title = alt || `${labelText}: ${accessible.title}`;
+  const autoStyle = darkmode !== '0' && darkmode !== '1' ? `
+  <style type="text/css"><![CDATA[
+    @media (prefers-color-scheme: dark) {
+      .badge-message { fill: ${theme.palettes.dark.digitBg}; }
+      .badge-message-text { fill: ${theme.palettes.dark.text}; }
+    }
+  ]]></style>` : '';
+
+  const svg = `<svg
+  xmlns="http://www.w3.org/2000/svg"
+  width="${totalWidth}"
+  height="20"
+  role="img"
+  aria-label="${escapeXml(title)}"
+  xml:lang="${escapeXml(accessible.lang)}"
+>
+  <title>${escapeXml(title)}</title>${autoStyle}
+  <linearGradient id="badge-shine" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1" />
+    <stop offset="1" stop-opacity=".1" />
+  </linearGradient>
+  <clipPath id="badge-round">
+    <rect width="${totalWidth}" height="20" rx="3" fill="#fff" />
+  </clipPath>
+  <g clip-path="url(#badge-round)">
+    <rect width="${labelWidth}" height="20" fill="#555" />
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${palette.digitBg}" class="badge-message" />
+    <rect width="${totalWidth}" height="20" fill="url(#badge-shine)" />
+  </g>${head ? `
+  <image href="${head}" x="${labelWidth + 4}" y="2" width="16" height="16" />` : ''}
+  <g text-anchor="middle" font-family="Verdana, Geneva, DejaVu Sans, sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(labelText)}</text>
+    <text x="${labelWidth / 2}" y="14" fill="#fff">${escapeXml(labelText)}</text>
+    <text x="${messageX}" y="14" fill="${palette.text}" class="badge-message-text">${escapeXml(message)}</text>
+  </g>
+</svg>
+`;
+
+  return { svg, savedBytes: 0 };
+}
+
+const rasterMimeTypes = {
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+function isRasterAvailable() {
+  return !!sharp;
+}
+
+async function rasterize(svg, format) {
+  if (!sharp) {
+    throw new Error('sharp is not installed');
+  }
+  const image = sharp(Buffer.from(svg));
+  if (format === 'webp') {
+    return image.webp({ quality: 90, alphaQuality: 100 }).toBuffer();
+  }
+  return image.png({ compressionLevel: 9, adaptiveFiltering: true }).toBuffer();
+}
+
+module.exports = {
+  rasterMimeTypes,
+  isRasterAvailable,
+  rasterize,
+  imageToDataUri,
+  loadCharacterImages,
+  preloadImages,
+  renderSouthParkCounter,
+  renderBadge,
+};
@@ -3,22 +3,23 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { z } = require('zod');
 const path = require('path');
-const fs = require('fs');
-let sharp;
-try {
-  sharp = require('sharp');
-} catch (e) {
-  console.warn('sharp not available, using original images (may be large)');
-}
-let Redis;
-let redisClient;
-try {
-  const upstashRedis = require('@upstash/redis');
-  Redis = upstashRedis.Redis;
-} catch (e) {
-  console.warn('@upstash/redis package not available, using file system storage');
-}
-
+const crypto = require('crypto');
+const { createStorage } = require('./storage');
+const { bucketFor, bucketStart, recordHistory, readHistory } = require('./storage/history');
+const { Redis, isUpstashConfigured } = require('./storage/upstash');
+const { isRedisConfigured } = require('./storage/redis');
+const { fontNames, sceneNames, themeNames, getTheme, parseOrder, parseDigitMap, defaultDigitMap } = require('./themes');
+const {
+  rasterMimeTypes,
+  isRasterAvailable,
+  rasterize,
+  loadCharacterImages,
+  preloadImages,
+  renderSouthParkCounter,
+  renderBadge,
+} = require('./render');
+const { createLruCache } = require('./cache');
+const { numberFormats, isValidLocale, formatValue } = require('./format');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -39,182 +40,289 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-const jsonPath = process.env.VERCEL === '1' || process.env.VERCEL_ENV
-  ? '/tmp/counters.json' 
-  : path.join(__dirname, 'counters.json');
-const assetsPath = path.join(__dirname, 'assets');
-
-const useRedis = Redis && (
-  process.env.UPSTASH_REDIS_REST_URL || 
-  process.env.UPSTASH_REDIS_REST_TOKEN ||
-  process.env.KV_REST_API_URL ||
-  process.env.KV_REST_API_TOKEN ||
-  (process.env.REDIS_URL && process.env.REDIS_URL.startsWith('https://'))
-);
+let storage;
+try {
+  storage = createStorage();
+} catch (err) {
+  console.error('Failed to initialize storage backend:', err.message);
+  console.error('   Falling back to file system storage');
+  storage = createStorage({ backend: 'file' });
+}
 
-if (useRedis && Redis) {
-  try {
-    if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
-      redisClient = new Redis({
-        url: process.env.KV_REST_API_URL,
-        token: process.env.KV_REST_API_TOKEN,
-      });
-      console.log('Upstash Redis initialized successfully (KV_REST_API_URL)');
-      console.log('   Redis URL: Set');
-      console.log('   Redis Token: Set');
-    } else if (process.env.UPSTASH_REDIS_REST_URL || process.env.UPSTASH_REDIS_REST_TOKEN) {
-      redisClient = Redis.fromEnv();
-      console.log('Upstash Redis initialized successfully (fromEnv)');
-      console.log('   Redis URL:', process.env.UPSTASH_REDIS_REST_URL ? 'Set' : 'Not set');
-      console.log('   Redis Token:', process.env.UPSTASH_REDIS_REST_TOKEN ? 'Set' : 'Not set');
-    } else if (process.env.REDIS_URL && process.env.REDIS_URL.startsWith('https://')) {
-      redisClient = new Redis({
-        url: process.env.REDIS_URL,
-        token: process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || process.env.REDIS_TOKEN,
-      });
-      console.log('Redis initialized successfully (REDIS_URL - Upstash REST API)');
-      console.log('   Redis URL: Set');
-      console.log('   Redis Token:', (process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || process.env.REDIS_TOKEN) ? 'Set' : 'Not set');
+if (storage.type === 'file') {
+  console.log('Using file system storage:', storage.filePath);
+  if (!process.env.STORAGE_BACKEND) {
+    console.log('   Redis package:', Redis ? 'Loaded' : 'Not loaded');
+    if (!Redis) {
+      console.log('   @upstash/redis package not installed');
     } else {
-      console.warn('Redis environment variables not properly configured');
-      console.warn('   KV_REST_API_URL:', process.env.KV_REST_API_URL ? 'Set' : 'Not set');
-      console.warn('   KV_REST_API_TOKEN:', process.env.KV_REST_API_TOKEN ? 'Set' : 'Not set');
-      redisClient = null;
+      console.log('   Environment variables not set:');
+      console.log('   - UPSTASH_REDIS_REST_URL:', process.env.UPSTASH_REDIS_REST_URL ? 'Set' : 'Not set');
+      console.log('   - UPSTASH_REDIS_REST_TOKEN:', process.env.UPSTASH_REDIS_REST_TOKEN ? 'Set' : 'Not set');
+      console.log('   - KV_REST_API_URL:', process.env.KV_REST_API_URL ? 'Set' : 'Not set');
+      console.log('   - KV_REST_API_TOKEN:', process.env.KV_REST_API_TOKEN ? 'Set' : 'Not set');
+      console.log('   - REDIS_URL:', process.env.REDIS_URL ? 'Set' : 'Not set');
     }
-  } catch (err) {
-    console.error('Failed to initialize Redis:', err);
-    console.error('   Error details:', err.message);
-    redisClient = null;
   }
 } else {
-  console.log('Using file system storage (Redis not configured)');
-  console.log('   Redis package:', Redis ? 'Loaded' : 'Not loaded');
-  console.log('   useRedis condition:', useRedis);
-  if (!Redis) {
-    console.log('   @upstash/redis package not installed');
-  } else {
-    console.log('   Environment variables not set:');
-    console.log('   - UPSTASH_REDIS_REST_URL:', process.env.UPSTASH_REDIS_REST_URL ? 'Set' : 'Not set');
-    console.log('   - UPSTASH_REDIS_REST_TOKEN:', process.env.UPSTASH_REDIS_REST_TOKEN ? 'Set' : 'Not set');
-    console.log('   - KV_REST_API_URL:', process.env.KV_REST_API_URL ? 'Set' : 'Not set');
-    console.log('   - KV_REST_API_TOKEN:', process.env.KV_REST_API_TOKEN ? 'Set' : 'Not set');
-    console.log('   - REDIS_URL:', process.env.REDIS_URL ? 'Set' : 'Not set');
+  console.log(`Using ${storage.type} storage`);
+}
+
+const replayIntervalMs = 30 * 1000;
+const pendingIncrements = new Map();
+// Buffered views per hour bucket, so a replay lands them in the hour and day
+// they happened rather than the hour the backend came back.
+const pendingHours = new Map();
+const lastKnownValues = new Map();
+const failsafe = {
+  degraded: false,
+  since: null,
+  lastError: null,
+};
+let replayPromise = null;
+let replayTimer = null;
+
+function pendingFor(name) {
+  return pendingIncrements.get(name) || 0;
+}
+
+function bufferIncrement(name) {
+  pendingIncrements.set(name, pendingFor(name) + 1);
+  if (!pendingHours.has(name)) pendingHours.set(name, new Map());
+  const hours = pendingHours.get(name);
+  const hour = bucketFor('hour', new Date());
+  hours.set(hour, (hours.get(hour) || 0) + 1);
+}
+
+function settleBufferedHours(name, replayed) {
+  const hours = pendingHours.get(name);
+  if (!hours) return;
+  for (const [hour, count] of replayed) {
+    const remaining = (hours.get(hour) || 0) - count;
+    if (remaining > 0) {
+      hours.set(hour, remaining);
+    } else {
+      hours.delete(hour);
+    }
   }
+  if (!hours.size) pendingHours.delete(name);
 }
 
-const imageDataUriCache = new Map();
+function clearBuffered(name) {
+  pendingIncrements.delete(name);
+  pendingHours.delete(name);
+}
+
+function markStorageFailed(err) {
+  if (!failsafe.degraded) {
+    console.error('Storage backend unavailable, buffering increments locally:', err);
+    failsafe.degraded = true;
+    failsafe.since = new Date().toISOString();
+  }
+  failsafe.lastError = err.message;
+  if (!replayTimer) {
+    replayTimer = setInterval(() => {
+      replayPendingIncrements().catch(console.error);
+    }, replayIntervalMs);
+    replayTimer.unref();
+  }
+}
 
-async function imageToDataUri(imagePath) {
-  if (imageDataUriCache.has(imagePath)) {
-    return imageDataUriCache.get(imagePath);
+function markStorageRecovered() {
+  if (failsafe.degraded) {
+    console.log(`Storage backend recovered after outage since ${failsafe.since}`);
+    failsafe.degraded = false;
+    failsafe.since = null;
+    failsafe.lastError = null;
+  }
+  if (pendingIncrements.size) {
+    replayPendingIncrements().catch(console.error);
+  } else if (replayTimer) {
+    clearInterval(replayTimer);
+    replayTimer = null;
   }
+}
 
+async function recordViews(name, count, at) {
   try {
-    const fullPath = path.join(assetsPath, path.basename(imagePath));
-    let imageBuffer;
-    
-    if (sharp) {
-      try {
-        imageBuffer = await sharp(fullPath)
-          .resize(120, null, { 
-            withoutEnlargement: true,
-            fit: 'inside',
-            kernel: sharp.kernel.lanczos3
-          })
-          .png({ 
-            compressionLevel: 9,
-            adaptiveFiltering: true,
-            palette: true,
-            quality: 70
-          })
-          .toBuffer();
-      } catch (sharpErr) {
-        console.warn(`Sharp compression failed for ${imagePath}, using original:`, sharpErr);
-        imageBuffer = fs.readFileSync(fullPath);
-      }
-    } else {
-      imageBuffer = fs.readFileSync(fullPath);
-    }
-    
-    const mimeType = imagePath.endsWith('.png') ? 'image/png' : 'image/jpeg';
-    const base64 = imageBuffer.toString('base64');
-    const dataUri = `data:${mimeType};base64,${base64}`;
-    
-    imageDataUriCache.set(imagePath, dataUri);
-    return dataUri;
+    await recordHistory(storage, name, count, at);
   } catch (err) {
-    console.error(`Failed to load image ${imagePath}:`, err);
-    return imagePath;
+    console.error(`Failed to record history for ${name}:`, err.message);
   }
 }
 
-async function readStore() {
-  if (useRedis && redisClient) {
+function replayPendingIncrements() {
+  if (replayPromise) return replayPromise;
+  replayPromise = (async () => {
     try {
-      const data = await redisClient.get('counters');
-      if (data) {
-        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
-        if (parsed && typeof parsed === 'object') {
-          console.log('📖 Read from Redis:', Object.keys(parsed).length, 'counters');
-          return parsed;
+      if (!pendingIncrements.size) {
+        await storage.ping();
+      }
+      const batch = Array.from(pendingIncrements, ([name, count]) => [name, count, new Map(pendingHours.get(name))]);
+      for (const [name, count, hours] of batch) {
+        const value = await storage.increment(name, count);
+        lastKnownValues.set(name, value);
+        for (const [hour, views] of hours) {
+          await recordViews(name, views, bucketStart('hour', hour));
+        }
+        settleBufferedHours(name, hours);
+        const remaining = pendingFor(name) - count;
+        if (remaining > 0) {
+          pendingIncrements.set(name, remaining);
+        } else {
+          pendingIncrements.delete(name);
         }
+        console.log(`Replayed ${count} buffered increments for ${name}`);
       }
-      return {};
     } catch (err) {
-      console.error('Failed to read from Redis:', err);
-      return {};
+      markStorageFailed(err);
+      return;
+    } finally {
+      replayPromise = null;
     }
-  }
-  
-  try {
-    const raw = fs.readFileSync(jsonPath, 'utf8');
-    const data = JSON.parse(raw);
-    if (data && typeof data === 'object') return data;
-    return {};
-  } catch {
-    return {};
-  }
+    markStorageRecovered();
+  })();
+  return replayPromise;
 }
 
-async function writeStore(store) {
-  if (useRedis && redisClient) {
+async function getAndIncrementCounter(name) {
+  if (!failsafe.degraded && !pendingFor(name)) {
     try {
-      await redisClient.set('counters', JSON.stringify(store));
-      console.log('Wrote to Redis:', Object.keys(store).length, 'counters');
+      const value = await storage.increment(name, 1);
+      lastKnownValues.set(name, value);
+      await recordViews(name, 1);
+      return value;
     } catch (err) {
-      console.error('Failed to write to Redis:', err);
+      markStorageFailed(err);
     }
-    return;
   }
-  
+
+  bufferIncrement(name);
+  if (!failsafe.degraded) {
+    replayPendingIncrements().catch(console.error);
+  }
+  return (lastKnownValues.get(name) || 0) + pendingFor(name);
+}
+
+const visitorSalt = process.env.VISITOR_SALT || crypto.randomBytes(32).toString('hex');
+if (!process.env.VISITOR_SALT) {
+  console.warn('VISITOR_SALT not set, unique visitor hashes will change on every restart');
+}
+const lastKnownUniqueValues = new Map();
+
+function hashVisitor(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${visitorSalt}\n${req.ip || ''}\n${req.get('user-agent') || ''}`)
+    .digest('hex');
+}
+
+async function recordVisitor(name, visitorHash) {
+  if (failsafe.degraded) return;
   try {
-    if (jsonPath.startsWith('/tmp')) {
-      try {
-        fs.mkdirSync('/tmp', { recursive: true });
-      } catch {
-      }
-    }
-    fs.writeFileSync(jsonPath, JSON.stringify(store), 'utf8');
+    await storage.addVisitor(name, visitorHash);
   } catch (err) {
-    console.error('Failed to write store:', err);
+    console.error(`Failed to record unique visitor for ${name}:`, err.message);
   }
 }
 
-async function getAndIncrementCounter(name) {
-  const store = await readStore();
-  const current = typeof store[name] === 'number' && Number.isFinite(store[name]) ? store[name] : 0;
-  const nextValue = current + 1;
-  store[name] = nextValue;
-  await writeStore(store);
-  return nextValue;
+async function peekUniqueVisitors(name) {
+  if (failsafe.degraded) return lastKnownUniqueValues.get(name) || 0;
+  try {
+    const value = await storage.countVisitors(name);
+    lastKnownUniqueValues.set(name, value);
+    return value;
+  } catch (err) {
+    console.error(`Failed to count unique visitors for ${name}:`, err.message);
+    return lastKnownUniqueValues.get(name) || 0;
+  }
+}
+
+const maxCooldownMs = 7 * 24 * 60 * 60 * 1000;
+const durationUnits = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function parseDuration(value) {
+  const match = /^(\d+)(ms|s|m|h|d)?$/.exec(String(value).trim().toLowerCase());
+  if (!match) return NaN;
+  return Number(match[1]) * durationUnits[match[2] || 's'];
+}
+
+function durationFromEnv(envName) {
+  const raw = process.env[envName];
+  if (!raw) return 0;
+  const ms = parseDuration(raw);
+  if (!Number.isFinite(ms) || ms > maxCooldownMs) {
+    console.warn(`Ignoring invalid ${envName}="${raw}" (expected e.g. 30m, max 7d)`);
+    return 0;
+  }
+  return ms;
+}
+
+const defaultCooldownMs = durationFromEnv('COOLDOWN');
+const githubCooldownMs = process.env.GITHUB_COOLDOWN ? durationFromEnv('GITHUB_COOLDOWN') : null;
+
+async function claimCooldown(name, visitorHash, cooldownMs) {
+  if (!cooldownMs || failsafe.degraded) return true;
+  try {
+    return await storage.claimCooldown(`${name}:${visitorHash}`, cooldownMs);
+  } catch (err) {
+    console.error(`Failed to check cooldown for ${name}:`, err.message);
+    return true;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function claimCounter(name) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const claimed = await storage.claimOwner(name, hashToken(token));
+  return claimed ? token : null;
+}
+
+async function isOwner(req, name) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (!match) return false;
+  const stored = await storage.getOwner(name);
+  if (!stored) return false;
+  const given = Buffer.from(hashToken(match[1]), 'hex');
+  const expected = Buffer.from(stored, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function setCounter(name, value) {
+  await storage.set(name, value);
+  clearBuffered(name);
+  lastKnownValues.set(name, value);
+}
+
+async function deleteCounter(name) {
+  const deleted = await storage.delete(name);
+  clearBuffered(name);
+  lastKnownValues.delete(name);
+  lastKnownUniqueValues.delete(name);
+  return deleted;
 }
 
 async function peekCounter(name) {
-  const store = await readStore();
-  const current = typeof store[name] === 'number' && Number.isFinite(store[name]) ? store[name] : 0;
-  return current;
+  if (failsafe.degraded) return (lastKnownValues.get(name) || 0) + pendingFor(name);
+  try {
+    const value = await storage.get(name);
+    lastKnownValues.set(name, value);
+    markStorageRecovered();
+    return value + pendingFor(name);
+  } catch (err) {
+    markStorageFailed(err);
+    return (lastKnownValues.get(name) || 0) + pendingFor(name);
+  }
 }
 
+const colorSchema = z
+  .string()
+  .regex(/^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/)
+  .transform((v) => (v.startsWith('#') ? v : `#${v}`));
+
 const querySchema = z.object({
   theme: z.string().optional().default('southpark'),
   padding: z
@@ -255,254 +363,169 @@ const querySchema = z.object({
     .transform((v) => (v == null ? undefined : Number(v)))
     .pipe(z.number().int().min(0).optional())
     .default(0),
-  prefix: z.string().optional().default(''),
+  prefix: z.string().max(32).optional().default(''),
+  suffix: z.string().max(32).optional().default(''),
+  label: z.string().max(64).optional(),
+  labelPosition: z
+    .enum(['top', 'left', 'right'])
+    .optional()
+    .default('top'),
+  labelSize: z
+    .string()
+    .optional()
+    .transform((v) => (v == null ? undefined : Number(v)))
+    .pipe(z.number().min(6).max(96).optional())
+    .default(24),
+  labelColor: colorSchema.optional(),
+  characters: z
+    .enum(['all', 'digits'])
+    .optional()
+    .default('all'),
+  color: colorSchema.optional(),
+  bg: colorSchema.optional(),
+  stroke: colorSchema.optional(),
+  strokeWidth: z
+    .string()
+    .optional()
+    .transform((v) => (v == null ? undefined : Number(v)))
+    .pipe(z.number().min(0).max(12).optional()),
+  shadow: z
+    .string()
+    .optional()
+    .transform((v) => (v == null ? undefined : Number(v)))
+    .pipe(z.number().int().min(0).max(1).optional())
+    .default(0),
+  radius: z
+    .string()
+    .optional()
+    .transform((v) => (v == null ? undefined : Number(v)))
+    .pipe(z.number().min(0).max(100).optional()),
+  font: z.enum(fontNames).optional(),
+  style: z
+    .enum(['counter', 'badge'])
+    .optional()
+    .default('counter'),
+  layout: z
+    .enum(['row', 'column', 'grid'])
+    .optional()
+    .default('row'),
+  cols: z
+    .string()
+    .optional()
+    .transform((v) => (v == null ? undefined : Number(v)))
+    .pipe(z.number().int().min(1).max(32).optional()),
+  scene: z.enum(sceneNames).optional(),
+  sceneBlur: z
+    .string()
+    .optional()
+    .transform((v) => (v == null ? undefined : Number(v)))
+    .pipe(z.number().min(0).max(20).optional())
+    .default(0),
+  sceneDim: z
+    .string()
+    .optional()
+    .transform((v) => (v == null ? undefined : Number(v)))
+    .pipe(z.number().min(0).max(0.9).optional())
+    .default(0),
+  format: z.enum(numberFormats).optional(),
+  lang: z
+    .string()
+    .max(35)
+    .refine(isValidLocale)
+    .optional()
+    .default('en'),
   inc: z
     .string()
     .optional()
     .transform((v) => (v == null ? undefined : Number(v)))
     .pipe(z.number().int().min(0).max(1).optional())
     .default(1),
+  cooldown: z
+    .string()
+    .optional()
+    .transform((v) => (v == null ? undefined : parseDuration(v)))
+    .pipe(z.number().int().min(0).max(maxCooldownMs).optional()),
+  unique: z
+    .string()
+    .optional()
+    .transform((v) => (v == null ? undefined : Number(v)))
+    .pipe(z.number().int().min(0).max(1).optional())
+    .default(0),
   order: z.string().optional().default(''),
+  map: z
+    .enum(['position', 'value'])
+    .optional()
+    .default('position'),
+  digitMap: z.string().max(400).optional(),
+  animate: z.enum(['roll', 'bounce', 'pop']).optional(),
+  alt: z.string().max(200).optional(),
 });
 
-const lightPalette = {
-  bg: '#f4efe0',
-  frame: '#222222',
-  digitBg: '#ffe6b3',
-  digitBorder: '#111111',
-  text: '#222222',
-};
+const shieldsQuerySchema = z.object({
+  label: z.string().max(64).optional().default('views'),
+  color: z
+    .string()
+    .regex(/^([a-z]+|[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/)
+    .optional()
+    .default('orange'),
+  format: z
+    .enum(numberFormats)
+    .optional()
+    .default('grouped'),
+  lang: z
+    .string()
+    .max(35)
+    .refine(isValidLocale)
+    .optional()
+    .default('en'),
+});
 
-const darkPalette = {
-  bg: '#1f242b',
-  frame: '#f8f8f8',
-  digitBg: '#384453',
-  digitBorder: '#f8f8f8',
-  text: '#fdfdfd',
-};
+const historyQuerySchema = z.object({
+  granularity: z
+    .enum(['hour', 'day'])
+    .optional()
+    .default('day'),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
 
-const characterKeyToPath = {
-  stan: '/assets/stan.png',
-  kyle: '/assets/kyle.png',
-  'mr-mackey': '/assets/mr mackey.png',
-  kenny: '/assets/kenny.png',
-  cartman: '/assets/cartman.png',
-  timmy: '/assets/timmy.png',
-  wendy: '/assets/wendy.png',
-};
+const counterValueSchema = z.object({
+  value: z.number().int().min(0).max(Number.MAX_SAFE_INTEGER),
+});
 
-function parseOrder(orderStr) {
-  if (!orderStr) return null;
-  const keys = orderStr
-    .split(',')
-    .map((k) => k.trim().toLowerCase())
-    .filter(Boolean);
-  const seen = new Set();
-  const resolved = [];
-  for (const rawKey of keys) {
-    const key = rawKey.replace(/\s+/g, '-');
-    const path = characterKeyToPath[key];
-    if (path && !seen.has(path)) {
-      seen.add(path);
-      resolved.push(path);
-    }
-  }
-  return resolved.length ? resolved : null;
-}
+const reservedNames = new Set(['__proto__', 'constructor', 'prototype']);
 
-function pickPalette(darkmode, prefersDark = false) {
-  if (darkmode === '1') return darkPalette;
-  if (darkmode === '0') return lightPalette;
-  return prefersDark ? darkPalette : lightPalette;
+function isValidName(name) {
+  return !!name && typeof name === 'string' && name.length <= 128 && !reservedNames.has(name);
 }
 
-function renderSouthParkCounter({
-  value,
-  padding,
-  offset,
-  scale,
-  align,
-  darkmode,
-  pixelated,
-  prefix,
-  characterOrder,
-}) {
-  const prefersDark = false;
-  const palette = pickPalette(darkmode, prefersDark);
-
-  const strValue = String(value).padStart(padding, '0');
-  const displayStr = `${prefix || ''}${strValue}`;
-
-  const digitWidth = 140;
-  const digitHeight = 112;
-  const digitGap = 0;
-  const paddingX = 0;
-  const paddingY = 0;
-
-  const defaultCharacterImages = [
-    '/assets/stan.png',
-    '/assets/kyle.png',    
-    '/assets/mr mackey.png',
-    '/assets/kenny.png',
-    '/assets/cartman.png',
-    '/assets/timmy.png',
-    '/assets/wendy.png',
-  ];
-
-  const characterImages = characterOrder && characterOrder.length
-    ? characterOrder
-    : defaultCharacterImages;
-
-  const getImageHref = (relativePath) => {
-    if (imageDataUriCache.has(relativePath)) {
-      return imageDataUriCache.get(relativePath);
-    }
-    return relativePath;
-  };
-
-  const characterScales = {
-    '/assets/cartman.png': 0.6,
-    '/assets/mr mackey.png': 0.7,
-    '/assets/stan.png': 0.6,
-    '/assets/kenny.png': 0.6,
-    '/assets/timmy.png': 0.8,
-    '/assets/wendy.png': 0.6,
-    '/assets/kyle.png': 0.7,
-  };
-
-  let totalWidth = paddingX * 2;
-  Array.from(displayStr).forEach((char, idx) => {
-    const imgHref = characterImages[idx % characterImages.length];
-    const charScale = characterScales[imgHref] || 1.0;
-    totalWidth += digitWidth * charScale;
-    if (idx < displayStr.length - 1) {
-      totalWidth += digitGap;
-    }
-  });
-  
-  let maxHeight = digitHeight;
-  Array.from(displayStr).forEach((char, idx) => {
-    const imgHref = characterImages[idx % characterImages.length];
-    const charScale = characterScales[imgHref] || 1.0;
-    maxHeight = Math.max(maxHeight, digitHeight * charScale);
-  });
-  const totalHeight = maxHeight;
-  const bottomAlignY = maxHeight;
-
-  const scaledWidth = totalWidth * scale;
-  const scaledHeight = totalHeight * scale;
-
-  const baselineOffset = (() => {
-    if (align === 'top') return 0;
-    if (align === 'center') return (totalHeight * (1 - scale)) / 2;
-    return totalHeight * (1 - scale);
-  })();
-
-  const shapeRendering = pixelated === 1 ? 'crispEdges' : 'auto';
-
-  const characterPositions = {
-    '/assets/cartman.png': { x: 0.68, y: 0.7 },
-    '/assets/mr mackey.png': { x: 0.67, y: 0.57 },
-    '/assets/stan.png': { x: 0.7, y: 0.7 },
-    '/assets/kenny.png': { x: 0.7, y: 0.7 },
-    '/assets/timmy.png': { x: 0.75, y: 0.49 },
-    '/assets/wendy.png': { x: 0.69, y: 0.7 },
-    '/assets/kyle.png': { x: 0.75, y: 0.56 },
-  };
-
-  const characterRotations = {
-    '/assets/cartman.png': 0,
-    '/assets/mr mackey.png': 0,
-    '/assets/stan.png': 0,
-    '/assets/kenny.png': 0,
-    '/assets/timmy.png': 0,
-    '/assets/wendy.png': 0,
-    '/assets/kyle.png': 5,
-  };
+async function requireOwner(req, res, next) {
+  const name = req.params.name;
+  if (!isValidName(name)) {
+    return res.status(400).type('text/plain').send('Invalid name');
+  }
 
-  let digitsSvg = '';
-  let currentX = paddingX + offset;
-  Array.from(displayStr).forEach((char, idx) => {
-    const isDigit = /[0-9]/.test(char);
-    const imgPath = characterImages[idx % characterImages.length];
-    const imgHref = getImageHref(imgPath);
-    const pos = characterPositions[imgPath] || { x: 0.5, y: 0.75 };
-    const rotation = characterRotations[imgPath] || 0;
-    const charScale = characterScales[imgPath] || 1.0;
-    
-    const charWidth = digitWidth * charScale;
-    const charHeight = digitHeight * charScale;
-    const charBaseY = bottomAlignY - charHeight;
-    
-    const textX = charWidth * pos.x;
-    const textY = charHeight * pos.y;
-    const textTransform = rotation !== 0 
-      ? `rotate(${rotation} ${textX} ${textY})`
-      : '';
-
-    digitsSvg += `
-      <g transform="translate(${currentX}, ${charBaseY})">
-        <image
-          xlink:href="${imgHref}"
-          href="${imgHref}"
-          x="0"
-          y="0"
-          width="${charWidth}"
-          height="${charHeight}"
-          preserveAspectRatio="meet"
-        />
-        <text
-          x="${textX}"
-          y="${textY}"
-          transform="${textTransform}"
-          text-anchor="middle"
-          dominant-baseline="middle"
-          font-family="'Press Start 2P', 'VT323', 'Courier New', monospace"
-          font-size="${charHeight * 0.28}"
-          font-weight="normal"
-          fill="${palette.text}"
-        >
-          ${char}
-        </text>
-      </g>
-    `;
-    
-    currentX += charWidth + digitGap;
-  });
+  let authorized;
+  try {
+    authorized = await isOwner(req, name);
+  } catch (err) {
+    console.error(`Failed to check owner of ${name}:`, err);
+    return res.status(503).type('text/plain').send('Storage unavailable');
+  }
 
-  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
-<svg
-  xmlns="http://www.w3.org/2000/svg"
-  xmlns:xlink="http://www.w3.org/1999/xlink"
-  width="${scaledWidth}"
-  height="${scaledHeight}"
-  viewBox="0 0 ${totalWidth} ${totalHeight}"
-  shape-rendering="${shapeRendering}"
-  role="img"
->
-  <defs>
-    <style type="text/css"><![CDATA[
-      @font-face {
-        font-family: 'Press Start 2P';
-        src: url('data:font/woff2;base64,d09GMgABAAAAADCYAA8AAAAAoSAAADA4AAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAHIJkBmAAhGwIgWIJmhYRCAqCiRiB6zULg0IAATYCJAODRgQgBYRKB4RQDIExG2+PFdwYuhnjMAAeGYwoShRtURTlonUIAlW9HlCRsWU83QUEbQxGbD9lb1mbkzovhlN2CnGb707/9NLGVlp2whJSSy3TpN4mx7MulOHZ/Fo5xrrpgYxNgnNPOykR/i8oZs3zMseCX2AqNiKti3SJlFIeobFPcuF5eO/13CQFnMqTVQAZQPZz9iPIKeglBh7zQOykqqpuE0O3GqTTmpVWJkqiAMmWJYPWiLfxWgFA+4C6ey6pAi7qL0l5oOqq8oue/Edd+r4IbMmAFx6W4k7gXreAC6ysXZbywP8x/64a9J3xBNYc7cO10HwkVf+TdgMowNbP/NlY87+ZVfUlaFySoO3HhLjxeGwvDnlCCFxPC9/jfv/vUyVhPhDfV0JO4aSQKexVJHYVssbgPSYxmQR/S4P/f5dmCoEiT+cH2aNJa1tne5NSJdu7OGEBWAxdTTrENFEOsMHgpO00TdO03yP6O/smxv1Szf7/tEMDDYCckfzuMzayP0k1NatMIXktFKpY+RSi/3+mWqW/GiABzjpqjYus3kK7dz5IZM+ZzL/cRJeB/1dXEVXobrJBAAIgcE6AzI5oZDDSGpnX1d3ggJT2SP+odQaj81xjIw1l3Zxd46NzPvMmu8uinexcmlySJAdv76n5id1RC4at7WhEe7OxJo5DzRYlzj6f7vfD7GESbVvd1SUjIiKOiDjBibH5+MndMaZZfS+fzhEFoxuUccdQSNp+gRHAWgtjUZq1t48R93Z8y3vY4440rR1rsIbJhIqCGeZ/MxUEDc0uzgUVi/+LwTzUkn7IeVddz1Rp/bK3iIFrFAnlSytoLGWQWqxpgGCJ4I+CK9YEjX4U5iBoBALnKujoa6S9y00VbDGn/E/eVxmFrgShk/5EDAV367eaicoqxqBgjzkzQD39oke5eulIRmN+vEIIaypgY3Ha1Rem1gVdQ3srO7wFIVaS31R9KTMxA2Wy0gu0la8oA1SJnAYwo/ZNLfgEm04PbZyEoCn1JYD6UgoDWAGgvFcJFJrLy11REa05/NWtRoeGK2AnXm3DmaRypGv0qHJeeaw81Tt90U/1S80M7TAMb4XvAsvxrwP3QVMmExhvqqOSOlamury81Sf9sPVWq5i+AR1J8usWjP8+/13/a/9VqFgKFblyFGr9t2eFw4udL2p/1/rahABQCbRzF2QmtRGZ3IwW/28DKgtZzmIOc4lrrGADG5nFCeazhSWsYh4rOctpzrCUq2jYYscBJ9zxwBMv/AlARxCChSJWvEoqq6KqWmqro676WMds1nOf1TylgRZaao22Oumsi656666Ov/gYYJFmqNOkyZclXoFCRUmu4y1rOc4BFHOQohzjGPW7whJsYtnGBrdziGXc4x2Sm8JCLXGcOj5jEcNuZwXRmsgxLzDDHmgVWbLDHDWdccMUPb3zwxZEQkcKEI1qEk0SpqZrqaqgnDhmaaKiRZhqjqeZopSPaaa+DXrqjh57aGGiYwYZINNQpEuTJliNXsRQlYiTZzCZ2s4dd1P5j/Oa3kmMpBuOjSP/rJcbnewyoL/9L4CdgpElWGhXBT43qj6kDJnASty6kg38IHRzgOvoQqc476ZTvtHoSkYzy3wMPHs1tNh/34AII2xxBIPIQIAwt3+WQmBbi9T7U/DCm7/vE1iPbcdnRIxvp/OO5N+8+ORf7p9dOnpxiNcebF0nNaPd4QdraYHbMKqqiAbw+RHeqn4xL4MvlhtJ0lA+w6lD/HTBKKTmHWCkZ2I+3KQVkpi1BjbIQijiNKPqASx9c3CfIKECZefNaNOXhoBKR5x0SlHZCR2m3I2d91+dHqGrVIVYrKgbUPIv51I0PU7Tkk+AXEWK5Odo4sv5EheEW0xFSwMA16Lb3bwL6UJAe3kEeQUYo2YCbacqH+8X8D4qHvQNHleckCnnzciUPG91+iK3BxMcAvGZM8j5rFWJZ+1JQI2ur6kWLsPmYD+1BNOfwYD0K2bCyOdaZ+IcZJrnMEHmFAM7sbke/T7ajd7pPEx8IsiZJNo+Hv0YgxCAjVQNif5iBwgF9SARBdsiCrYEwE5GleR39o3hU9bL+EpFVR4OhTrDzRdjBZWz08WZ6NNv/RP8xGG3sOYsHF7+HXTwlJjJjrCEsrtYJhwVkPCBsUfcIJGNogR8suB5E1YVsnMa2iENQV6ufaONXst7mBZR3eiANSCoPTQTEDkEz0AxZszgrecMGTOibEAH6PxFC/l59gt27h2RfRsL6oC38r883Ph06GpQh41+jUYIQBkMdtZjL4mPLJS4Ck6xhwgpMsUYKUC0Jpi0ZZiwKs5YCc5YL5i03LFgeWLS8oxlm4V8X1+jgMpp6h9w8KNnYme2UUpOvNrdSZvKND+slds8JWn6yZbbENJQhbkmQsGTQLQpJSwHDcoFpuSFleSBteZus09J2hdzhmehIG1ZGSqjyCCpG2dfJM3JTchN+SaGTdmJEs2HljTFjfE3lggBF+9eFieoUJk0hU3Z8cjFTXQpQvG7NMtNL3LnK+CLEHq0KsSYRrb4u1F8AAMMV/c19mUzN8oNSZVrSzsR3AhH+EgVqrJ/uBup9hiADA3Ov22BNgmqo5yrQH4/X7H3yyZqJA0VxNs+w2eo1xzohU5PZQJMB1YmYYWrcqfv58Yrpbc3r0lJt9m6lNaLe5hC0gQZVMdo9rsvP4k9Je6i5nyXz4dzFsKOOeYSqbvR+2naGirRUeVfjx8cTSCIvdGRRFttuSRSnqfwVanpPRZegpm2XN07HI7aRjCc5WzTrmre9c5CeuBo/uWIUFOtVqOmZNiaTNjLfMwMu96VAOxw5NYuKKXbaUrMn1Sng0RvcNjg6RtHt6tCs7EBfCcex15J550itq4SyFsMuQ522d8jzVYzc3nbElE5xt/eNURClyq8CoXMX6zzUZ4rqg5mVV4+IeOoOU9RS6lueTFpDWz747udu//TcRmzDn/ZKR9Ma+dBBR8uqWkaaLbE2+xwGFT35RRAFqBRlptjI2Ti0pMN5Y/2QYdc81NhWFOrv/xQ79EVvcK86d8nezMeJUvQJK9ijaFrhyK2q2Vz0drM9krNna/mpB90fkdKDE+10Nbs966/Z6BpIcdip+d2bHY0nbF0Oqm3qte2ql4D5291WHmardNhON9IBzbing0UdS6CTRZ0XNKeLRV1LoJvl3539DDQGPSLq2QK9Iuq9QegTUd8W6Bd5+rumqQecTANLYJBFgxe0YIhFQ0tgmGUS8NHEifeipBZIjkyKOILUiNJaID3yZVSizkpOJvg6DaJFlMxiDVX24lPGGu3NqSS6kNsjibwegfwyda2zgmRdVpisq4sEfbFi+wtKegRKewTKytT7YuXJesxI1mPDk/XYCFvAyB6BUT0Co8vUF2xMsj4bm6zPxiXrs/G2gAk9AhN75JhJMWerory0XmZgzTLhoIZ03juOf31zBDGZcACgAkBOgvwCp0y4vAfMgRC060EFAGZMg8HgEmuM2OCVtoIyEhK2y+lmiZk0NvU8wjPR0DOXna7Bq85myWpCiqgE+nD3SeOyqW+6khZaNxD2EID0XhpLmbSiGsKJ6S4HZoPDWK0m9jxLmA5QdxUKFtPc86D0BOaDbwefh7uJ32Cu3HaPg+nSD/98gmGb6dvZ3U1Bd+/S9fB83Pc+z6u5/GJAgBPQyPTb+TXl6ePgB/3DId0zI4rK3bv/rvRv7465AwFOANzO3XWoq9IGOg7rmrkdPV3ylT8wH9Zd/V2Ouu1YrKEw+u19yQefH+YAje3gQ4W//fnA/rXT5yEfPtz28+zz3PezhS2v9Q2uepkKEF5FYT20p5AfeuT6Fswwy7/KF60wzG1DD1MgaAsxEA2599+7D/MiWgcuyEf1w9B7jwgjQA5qt71fbO/ASOKj8IlK91LSYfg8LzH1z8sSBbWg2AWDhUC4mLCiKGgViWNVNGXBhgUtrRqKSkc2lHTIaPIyqCNbaAosfzVXVuvlDwLiJ6mMdmPacFSAHRNXEJ9Zs7oNEwTaBEnB6txMisOF50W6VMsIEjUNlG++7BJWuBdMvMHN1MvbyGZC/EIIN/1hUsvEylbqnv80zNbZx4hCYkLgvUOwsu3KBKMkNVa9Dga4s7PzfUF8J910NA/rE9K764jVuIlWFr1MtxqdAgZOqEhfj9NGp3oBZGRISyKiUk8qzDqvbSRqgI9EdeGCaxFhrUYidH5NLBFekn7uSz5Cr4iWKqepNiDs2RQROU5OPfEgT22W1ZGoygUQpqNduKmRRH8eRgJ2K1uNG7SlsL/DWcnpcUFmz2pgROYoYbqlBUxnm9RCwJWgVMAhc2FBELf6PjqCUV5J2CCGwSmYUa8Ec9O8kR70sk5ABMNME3AyLooqQquQUjylnSdkIDzaY0e0yO2kc+0xkqfzMl2cMxW6lAEzMhwXfwftqCe4CCIz0scGua+1sMrxdNsLgeluF5JGLIRu8YlZ5la9hj+YuGgDaDc2JvehfNG1yWJGuv6+oIs7qu2sf7chVJI0PN+MhFulrD1BStOyoWWQR3/PLdpBSk+A9HHCmNAU1DKKts5CY39s3FEbMYXHynGe+yG9sWL070lOcQtnWvZWv0PPrXKecp+HjUAzMYSJyWvoJTuSItwqhS1aYMS5yIuTPJJaO7PLZEGOQ0f5l6zEmgAkvXOvmDOjKbjK4DvTwivBwDPUrf5k6Qm2i6AqYmAduEcATppgN2HWagowl85kDFupuwibjPRlzmyGvo5ZLTvIamCCnC+9CdMh+ZkHr/VSwt4U0dxnvsObgJq6KCRJHRe85ayMiUpq6gZCVyyQhYjiLrzkOTu8EZTTwnPP8w7PTeZpYmm0YLxU/X2rGcZgnMbctsm8jAZ1BLaZfpp1ktdkHkwVv5xeQqGmI5XIBKecxgOHewNjzs8sHTpBGGcZzMstTgbgQWZ1cbSY7MpgI+2YglDCE+aj5KoIz00RMqzbaPGGFqBzPSEKqBsO9My9CIFudoIe2Q52JeIUmR1jJQ/BYtNp0Dk1TkdDCAthCStLtl39wgALTJyffNeQmnRa5c7CdIkKRWaVf/KkXjRGQ6lrd5gX6cbC8wpPkDoqdHJoxjN2l5SRyWs38zzxnsmhGD9l4MmwDGvhkoEjqN1H2pl/2qUB7DRYGKOlPT7MhL6DpK1S6KAW8ygypa+o1tO2R2JjoYnFTkKUEZfzFFPs6Owh93EOCUnKGZaE5eeSY6IgDwbXvXnKUi1lVqsZ95vPOeXUubgNYwJKuCJjRzCwBPHQIWJ3Afy4yI/6CyikXGZrbNi5tCyynsXw38avGiSYgc7/SMJMiFdN5jdRjy266HNWskIhwgBgJ+wYbUlK2sFy0lQQwCUkmRuZQRfOOOQ2qYuuKMXQ67DEdBJz7o3ccMUpM9BxHz/tEFNBhSy4G2pEvt90vMBAtotfYm4jhbQH9H9hFtvyBMt/epbwd5sWfYD4dGT3CWrJDAyEHYG+eCvf1QJIS60uo1Ytf3IrRu7atbbRCmG7QjxF+SYD4z6qbuJEa4R8IwjRmHoxhtpm7RxSgWeOhkGWENF8KHBgTdbVAZcmgXRBXwfe7K06jAXG6f0NKAtpUjo2Fs59UZFjZtoZDp+aptvR6th7ADKizQl/2ieb6N9YtCOLE9+8zpjD+SAbmuL4FSz5k62ccHlk6rWPnQi/fgEpYEQaUy1SQ1jAXjKAALItSwbgoTUTCehV/hte26gPEfIO9euL4blRdYdfd/8rYcBMp7qaI7zolzk3/33Gw7iJ7y0vAY/5rj6c3DdLYDCTX+OHU6zm/wzAWMZ20282bjGvkMYbZpvUKis/fJTwQDcdss7lcU6ZnH67bhNoAerbV6erriKFvVhiqMZzEWr1WhcaVXh9iy9IiexGc2ZLfAZ7gwGsnbKAe1dUdumvA9MeXYdyTpVzytKHWvSeHneO1s2eBKFWRnzceyRLsvT110TgbEZvHdKCpcprYdTB2iD5TWD+epQJBw2rxy05TEyr1pjYCWk4UqNH2DydToY2aXkJ/xGRPDaWyIeVYnv7ag/ZQ7cplNtsKxO/N9EOmL45ESKzBBCd+u9zhqHUWRNzc/2oGsraFYhCkcoTqRqSHu3naROBdCFybhjpODFie4cpWKHB69JZ6xYpZnwZC02XJNQoc/Ho071URJOJLOnFgbwxKYaH0PVBXyDV1tvXrsXKtxbFbWK/+s/UEiOfp6fztSUKcKIVHvkSuu7DejuWOa8zm2DznBJj5P1xmX5t9BhzQS8IfIS441Oam9pBMU0azGDQoui7EBwfWOqH4+njIky3TlnUx663AqSKsJHI3z6lQqOB0xKiY5+kL9tymGLkq5Lo2g0Epl/kledeyrWOR+O1upEg9YegUrfJHzOE0OHbrtzGTrwajn50fGwqyFdsNf9u6JMIF+5VWQyx2Y8d1Aw3HV9rGtsQM14+G31v760jmd14Ty/wI/9YBAYgH4n8/tt6mPGbRzJbJmMBPGLmiQhebHwYU8NOQ/+W2UnNjMXghK+BdkP60ZR1vTHXVnn/nixCBwSa2kKS8Gz06qPN+/MKbcx8pjDHcC+uosXExyWaZ6j8t9h2LTq4OmZsjVmHkMJEVFabtnjV1F0Vvw+aAyKgaWu2366BMRALar9HibefZY4ppTXn6BL/pGr1iCWHmaAjfLhyAiKc38zSfLOr17CxzEaPeyp26ua+8jgr3nQ33P/J1NbIez61Yz54rw1jzqfifizUmNyW08wsnzeYuCwehBfWQCwqh82MV9LgF838bcuW4n6v8sY4DqUjeeTL7XWx4QDXyHax97DJafquI0MaygEf4XTyYe0Y3NZFMOj0vI28iM+ZHMDE01smrQWFp1IdxcHGXrmXi3qfL24Hp/k+f19bSspmoT9LFjGdd5FhdgarIXfsOAktdg+x0HFe1LwEvOiRiGanZ7rlh91mVSpv/oE8jvdRcxqaPFXKBP0w0qvN9tetTp0FKb7HNN6KYJ1qZgNiyQ2C14D9NH49YB1dOscl2vV2jaQUL50N1+LKvb//kHK2w1CFw5X2c15LopMxi6G3u5Fh0KbUUaCnIgrRy7eZQhlVoddXrtUXRAyq8x3UBXmvLxqaOWtBz+8YuZ0N5udBe+iaf/ht75n1/z73RNfGrwi//3czmnHUx00vrdP7gkjJpfJq/2KJ+dBV1gafmOWE0RqSm87p4XKJaJD6m9E7OzQNsHnk7n/9PWjsH/79nU1XLy79Qa+s6UOLOrhbzhx6lf92c3DLyIEs4df3EXYdJX6ZRnk074iFkcIELyeO6mF7Xi/bczMfUTri5aVRejoJK4Ee1fdj2LYD0l/ZAT1vysVS0b5Rk/iuARKrKwE9Z4sfF8pmj9TeWJxV7y+jLa2KvTlPonWEcr3G3yxuJBbHU9CWFuj9WWeCphcr84UNZqiDJ1j8gVAWS52vk2W9818p7VWxs9yOWph2fWIAYLkgSFGI9Ioyzc87E1Q9xtYZQDqsvcFbhIRy1ZVMgxdAkTNLckuw1OtrX/6SN+oy5OJ8Z4LzLoNx+rDWqV0fNnF7iLxrHk73H1O6D7gRb/RAZ7zmonLIac11bilTTO2MtycwB2cSEwx6Shr9TXDpP1WtuaVMisZZe/+hguAhf4L4hA4dihujlvRujEcPFUNz2zabEfssa+/s/Eg19yzPnnEjFt5DzwUp9rvtpnueuj3gbpv/m0wEmcmYW5aMqH9CKWQuGMpeaVCFhIiyb+9M43xfw90eyQlzIMQjURNPk8BuiHUuR7kn4nlq2XxqtNr37dyoHinjIdobzAQmYsdV+WsAp33JdG+vTbb9ocJuPy10tiGaX/cqM76LD2u3H69IWfnP9hscVSI5zStcpvqxNn3j6egKu77LhhPXtK+Nbv/WH5UZtpsEXkz09oeZ01Tt3T6RWd2Hi8u3PnhiZOh6nh+k/QpQWEXt6QrXNa602MsDv4vulpQg/2dt7fETXr8qpyBDUUBHUhDlSyJZTkMFb5TftgJw3Waw2UWe9Sm97AkqE5aFG0zuZ0bwbwDGsWI9f1Hv5Xtv7rrrI/Vm6ZDoKffhBeFV0C+gNPSJbVrz7cb9uj3NZrxTmC/srE+PTdd7ahMm97Pk+pcKavqsPeY9PerufDqXP779XTMM6LSCjpcVpxU3BUnETXi4EWWJ4eq6cX3bvE9ts9t16wBljzWXcrFnfWx2j9uJ1gmn7icB+Xsirg3geXiG/YV3X0Dv82lLVzu+6Lr0LxtRWozXTkKE7RPgbXMvaTPTHeep9lw/4LNnsT5hpfQG1OevmvekKjCan7NYiP8OeRt19WQQyPm+PPY/vnTAEwZbe1P9KWZE7yE7H3g1O+/mS+ru2l0FWjroKPBKHWwyNrK33NpVNibzBZGuWL8B+B5Z7H7RAk1sur1Qn4DlMwV4XYV7yEWgvN9Vb1M76fSiq+jXr5szus3T1b9AuKORpOTbxB3/Li/rapth1+2nWAS7BHDBWZ81ho+H6XqDE/eTnvsD/pkU7Mq3P35LOJSz8Ih3qcdPvQWpoEND6heHhdpQyCnyYKKQlErripxs1eHRFKoTlo8byKkGNXyKWf+E+RDgRDxMFEllMGgWHcKx2SgtmW0bKMcSRKKaqKif7r+W13/x3YpkSixpJKURooCV0AsFqJNwvW1F30P0fokHgu9Y/cCVrXfJH8de3JnQOkZFgpJKsuf1Qp7VP0EL+u6l2FXlNGS+aCA4j3/O7/m8G8Wf8TZW8WnUJXHJhxBNfgCaSIdVZsKeY5revbb7MC6qyaBBmSd0RVwn0MJEzyjvWSZHida43rKUyzGhTjDCKkGCVOq66oVhk03zsNf3EHKjBqwaEjqhy1bShOZ+FmSdoqwhWy/PGRSiLAM07klX25rQyCGmPLMo4Z7XNKiJ2ryvQ9m3sbhmmHL2L8qGY93uIPuErMV87zn3ahhTNV2++ireHxOek09HK7bhDLzuLXsAo6IrtbtTCRNi7z53l9vqtDBJcjmIX8/GrdFbkO+zBUr105amGIaAbWWqPDW1iYD4wDRHWRfWFuGmgBxRUb0I2Xh2Qamn8lJl9k1hSxcMQvZDoVBoJABgkWHq5DqZ6x6g1os/68MZNSTxhK6SYwItmaQkZqGSe5sJX6r3tw0WuXAZX5ObMkR0MtZmKPPexEthntuA1oqI7pi0eB++hqkgyiw4Nj8A5CZol+uTX52q8Z6r8ATcOPMF8mrVGdbldCiAQZmm6v18vjl+GBK2kW3J2eUsANCHACAZy1DWP+66sJ0vqVPuE6s3YscLncRbQS/Ux6bOl11Z2k1k0hX18M1i17tp8OxyL20Cqdo3iz/CULET/RmX3sIuIz0cZb/Bdmp5colCs6E6H/lrg6RyETWBVFLJ3tDyS1UvKFNySqOHzwgfGcsDipSI49oAWSgbEWZTxuTaxwlDgmW44Kk7UBoS9YIyx/a8mkRcSXlt96JwfrKw25+bEbfuuJ9DGn1MCYkwh70Jd5rJ93bTzqZKtSyQEjvelylxNbYtR1SkrSPtgsT6F24LsHaX4GkClg+5mhuaCn+roI/1C+epQIkQhAuXa+QFuZBZbnb5HrDM8RzTvyk/DiyThulY1vZuXddqpwq/+Sam8Xavt9oXpzJrW1sw40Jvdarqo6MoOhhHD1jLRW7slXq0PpKc5tYhEs9cpRQ+lygcyX3I9Au8fBelb69zagpL6vSp1Aqc3PnoUCF0wpikJFvFr2n6lhjJG1w99jARF3fWp968a4l9AqkEeX3TeEShutjfQgGMuHzzXnfHxR3SEiYpVlVlwm9ZxoCoSXEmG90bOOXCTrP8b4g3AWfyYUIt6UC3MTfc9fiWKgQKjDVZtY+vtF/B0sOOT3LmbW9WWYcMP8DTqyi9PC/NPnR0zOl+81fvD0VMwRPmSeUw1dPX+KwytuBSCFoQlY7ugYwFTeuzabqkCSuhNxjdz/Q+XI0zyAL84UKnUi1/aAx78UkpSA0ZmlA/QCOwjNKmJLu13L75Qw8vKamaUgGDbHB4xcozc5WavJamXPxoXRjYhcczVbm7p1W+Se1ASguFUFV48hsSaMbikHHjQSl7Glx5Eq56+rbWDhtoz22fyYotofjC7zgPLGjHTl358a/RIHGW4W01iW/EZUCtt/IsaZ9E1gsZmI6GBqEqRodZttjC+4fVDX9qq9Z7Y4QJ8Ykm6Y3WyEngLCkHaKvG4xmZ7cbHYCBQ9HD4E4SPhNbFvWmulFYt0dCtQ//2PSzLTL/hBOh77MMyiCiaGDWN04QurrRMoOBeFuZrrPICmosgTjgqIWWF1Mqob92B1fE/fY8EPuHc/UQEag6KsO9vEFgktUPmtygCuWKQj0xiwBXSldrdCUsTcFlLmQODcsMEVudLvWWqaDqEsDhPaBbONyRJphsoQuUGKRE4uOpGgQNstCgFLr/DdXky4b0oiAnxRfLIFQxhsZbGkImzyWE+ysRDLYcjtQUgGjsVDndJ/7UWkSyFTQxUtTo4pOmuHdhERBPRMtspHuquOA6PCS+M5PuuMnmWPmqQPLUovoFXl6LrNYxmafxWLVXMab9JIXFYp2veg+R8Md0lVo9LaJmQtf2zgggLYy2f0WMsT17SxESz1IYBraZjW9elJuUpd6UWXJPip7coP+YQdurkrKze9m9YcaF3MNXM5HtIloFXAw9GkNQjBoE13fsDsSBlHWBJLFYv7WZ8UZp/0kxWpW5aMOt+M53QPpLj3R4TDc2ixyoRsCZWtvgLy1UOPhYmMHkvdY9oBj3kpnL5GL03I/BCMUQVqqQdLs923HCjRJw+oTwAP5FEuT3cskZpt3b7++GjtBggHwIXCd9vh64+Z11gKhFs7HglhpXWhVGyASUWgghS2Ia8or/Cw3Q/Hau8W9TNqgC6M4m7aP89HKY77v7EXiLCwm16UCyiy+ezWJiwCoYZKiSiWB72o6+5W99eer8e/1ppB3QhZwdXOODwmN65dXe5NgIK18+LTpcy9xdbak/b97T+djbYGn+u4gSTZCr6WV1p/WkORtenrS+mlkl8/f4L40cFjhJcJhoJNX1WjFmpwssu7aaQnxUe93r8jUbWmj+J/sxFDQstAdfHYZXYipna07qVDSsupDpTy2VqFO8EL3OdSq9FcuBaVkZp4dcy7zsgEFVzEjfqARXjl41A5rbjvcSzPlmdNu0uSbaAbF/bLdw4qXAwMsbDDiMXFWVcoOs4rdKRDBPnLsM0Kno9lzdHBqkzSa66nUZ7ftGfKp9zpUKgcquGVZZx5SAFP+Bs1GKbUsS9qUUe28Xq39P2WfFEaFnU8paiLYpFz/liteaAFkcqalCbD/5pwXO+sLoI70++XGWxANv5LvfBSwaT2pObUTwdQCSKQVGcSwhCCKK9g+uBZsOjukwabDShW5HKhNjYWIrG9r91NP4cB80Pju2GybiMKyB69FY5WEWlo0M0h3BFZhjiEBFfuSGsvEASDarVuYo+XLl8ToYMoGNi5k3R+eRkTgY0oFvzWMrLTm37NSlLJgrxnMkSoP3fz+sbLoL/NhqCIvthVaRyqE61xGrnZT4ddwMH66rFoUEeE7pSCyYgpT3k+wF4eBYLPz0Gd/97Wt6szbGgKGisPAA/gN6MCJGyFjPAm7huz/sPSyGJpT+cng5t8x3v+yoKMiaABRKX2MXXSENADCq6GnEy6P6FWctazfXKcThaWStlTJAnWjuQ4Xkck6cFiRF98PQnOdgXVyBVDEq/bmb6QBZizayfKH3ENg16hFjjR2S1qeQDUddsjuNGzEniT38alHW3HG57uNLu2uS7mZyS1l2O7nhCRmVPg2rlYy/NTyuT9yIxZClsWFsZ8T/GDBbu6HXHrgd4ozmjyAO5wlQSdV9WCHSejg4753bf5ksKJ2si8TNOzPWjB3aiBbaETiM+bKMfm9HUf0AXNMNBSWlEWUvRmhLd5rME7xFXbzsI+j4KruHrWc4cC8Wl5CZdUxRxoqEfm59LWGQ7lTQCP/heXdieUrdNre9e2HjR5tkkncXrg44X/Hb+firdAEBfNdAQnhbh1k7ww+u/gxBu0H6SREfVKdpK8M3MlbfhUlqxty5z/UTtDdDC5K0S0/X+BCw4O6tPBLF/mZks2a+UeZd++b986veUx+ms0ZLpBjTcMLXPorNggjkb9xd092Z+idNQovqXtHCrLRch+pEnWENIQA00LCuFDqnZztdrQxcNFbl0hzom0LLBXHRSKaxokUDTYFoKVpZhewLJgxUTB01QmeoNUlvD4WJ/Ah+GhMKpDIoKrp9cfRPuD1F0U6Y9vrn12WDZ3Yo2gcYa02bxAfzddbCSpXIMFFJVPg8lkeqJ+/QNe6YyLQVxWWmb0H43r1sAYUYHQ5DEELGTCW74tMpSExlyU/mrYsOuBNkEcu/C8yas9rdYQRD8A2QCU6bYKJP3S1QmGzJd/f6haso2MUjty0T1VIdAO1JTJDqwZTYRQONg8lkhukH8ZEOZ43p4Q4VFoVgVXGaCDPpicjYRwNWmynSaDObyhPeQKd8gvtbMXz43YIWq18YyglWw+jO7ll5rWu/Q1U3yaT9R/LgO8Aw6UOOnhRssVD5QYA8eDYWT+tB1GHMF66G6XLrslCfET/l0DbVDurRhsF/1b0j8ioUqZXkwgnZuJocra9TTM33Ybgg+fDA2sDGvP/pLAaS9Vr8fd+bN25dhE0z6ZLaYuSgsRCxMB+V2ck4YiVRLt70HwjRh9X6CRJiF+zBbVObWtiRK5JLcwxoxhN1JKbI88O1IoBDXMMfUU9JwH/fz93/8iz97FYGy6GgyjRd518/TJL4vVbAGXFdQJ4q5jqWljKbLTRkH1vV9d/19Fr/w7zPUd/2nmckY4GGxkM8xK5tJp8ynAfqnkyksxwgJZdHZ5A12aN4rvOrgD/yDSY67PSHx18qU0NSpuVrdUdXX1T36GPtrHH8m8dtAsY9HjwF6JfZOvA9bzL/3vjlIxsTKOSlGBUoTrEJxxHoy0ZqSqhMeawpdDKWnDkPbDWWkdqJmbpt7zDnP15jn/G2hPOfjZL3bp9VKecLojCJ20XNKJ2cPpIlLwYshZokCo+IIfL1x/wshRN3OPODGrfd+TRxMclay38Ts364hC+OtKS15uOid4JFHlEjNSYpROV3sQ+DjzNR1KYWAWvlQePChktqU6qEOPoSJYFl/HBbxeQERPlqDzzHQD8hNluSTdIsZ4hKuYSO8TGAjSh71pIrwB9lfm+WHcODeVnIT8UnyA3zZcom2+t5gVBla+nBJ5hPxcYaPxyp/FuUKkxDLRPRXN4c3Rv7pWcVKLdtFTrpoBHOKBpWUf8wcxmBZ84VJeOzF1IJR54kyU/SVS2sbiWgJsM6uOvE4PvE+GLQqItaDCZc5RpcljUqgfFJW/aWKXCe0lMihm0J5ApKkQMzKtBzeUra0ePJE4O8kyb9uJIir8JjTKbW3ndMuOzi9zWOF5AYi3Bfz6TEqzuFxxdS7W5SOBJZVbdWc/kvyCklEAhpUIE2XDirOWc6r2jbLTxGjEX+3kmKaef2xgx+hgpypnBkhRSfaOyIDkoTAVDTKjIEMyyUTlt92QTmBNSbdEJ01KNWC9Rb9xwJBhjyc0c4TFUYZOkttsYhfyl7xAIzAehGzVAon7yF4NnSiY7Jou4wvJV+mNwmi++sQIwt7Pn4ohChHQ8/koj4eeCUqTGMTD51r1F8nQCQoB6N7XJqSeUK3qGDC5H5MiBmPp3jhUfR5dwS2oA72tQCV3JpXv8k9Gc7FWrBQjIhAKlcQl6ZxntClQjFhal9mKMk8EnImcnu3ZlDJ5ded45jVGSvi3mbj+JK+tVLBMWapF46VoILya1prlqkvYULeZuNY8n3z0h1ZRAksGA3msBYRggkgr1lx2vqCxTAvjrcaEdMvRWKI1Vsqb6g7vdJgzlZDObFbvOiyQEkgv1COTc7I9Ju8obyVY9VQJQjaBw0M4nF5QH5YkZUySx6qEpWgsR9sZV2oDRF90k/Uoz0k8gldvkNOSsoMJ4y9Oe7XLjXqL3cwxe9fKcsNdQ7/CPPHgD/8Wcz70x/NloEvpeliD+vxWze2UlbLHW45E0dh28io+kBDYDRvpiN69/td/J3C7n89+Cj24RXgFWOilczVhgjKyfMAnTbv09u2EOFtw5zNrVVth65P5gqCxJKQPkPgIeL9AyCJNdY1v4p2GHk5+ECCufWWPdpNvF8rQ8n4A5WL3Po3yfajan01YXdCfLvhvY09dq7LMhy/PJ15XdZfokeHtG82uxr/XPORDlcF/qJrV0yvyETh1vO+HiT5ASNOxKjhZhoyomS4t1jtB4p/oQm1jSy/FE5/pXFcO226yj2bPlQbRF/xjIXgEscqGriNLBTz+aW5grCiWmfYcM0TulmpTZi6EGPmqjT1fPsmtHoYKGJlMMShGmgBURNtzoGQo9F7ZNiwrBO6SxUT2n+Zx1vHi273AoPHJoWLPs/j6kAKIwuirm7DAPzJxkpi2ZlhPJDFcTsAvae3r2qX6lQRrT1lwYjB/49A4wx41jAjj2Gy0bmZHwxWQbyp3o9xUXnbZ0B0pPT6HyWlQuwpHLHRl9Z3xAvvaL3HwMFxD3R+vD+Pa+zVv87aO5dZpFr+Q/rD4+PTPsvT02U4asYRInA9Op/ZYhYnfy8v//p5gf7vu5vwy5sElaSfK/iRROOZNGkmubuW3Nk4L+fMgoCNMpwHmULdIl0IxxS80GqyTRqL1uViHdo/mk+Iwk0s7hZAf8cviF6QV7c7ZIIsRxOaplzMqRKrz+7Fw5CXXRy5HIo8vvDLFRM3gjo+JwdW9TU53VBVa+/mEhPvPQfdQO0oV/bIPOFiy5eev4klKkUnPETjFktOACe4qrSZOaTKpYIqkq8rX0A0Aa7yHBylwEKgSM37H2uA5iomLcaBHOtoA93oUxDACUUQHyRL7rvS5M0oNGzQVo4fFNVcO65ypUqzsNxS6nIqiBDmwMPf4I88atrCoetsufjAlyRg14VUGR9pA61a7RyS6/y2dz3ziw+VWay6tT6h5Opk71n+oiOfNnENUnVZlf6MdQO1Y9cWjNM0XmMcp2+YxulomonE0umyRLLE9qqYGTNVEkYiVJYulgL/lyYPpzktXli3e87Hf+agB1Pa2y1YhVDaqRzjWqtrnBgVlLZQwsbJDADmkClFbL6V99u74BlKTm5CRtov6hPLfg0BEoURHoVrRkD2yULg1lzOPt8catquryb2zylTqKrzz9QbFmT/q7MuuF9ryrWspCgBmBGvU6jKgB5h8rFoOPXDpfYKEg3FZwQU0FkUFEOUDXWug4wjgRhl/HoDLp2z5vE9W3lzrQZ2Sm2ketWUlNJDyAZUVDqS5NMoeiQTO4a8GmJCad229ihvKcA99hMKHwKo4Dzh6JSBpXq3VNWXAHfDtf85+UDh/+y/9z+JgdQvtUCBqgCMUnaIIBCzhvbAIJ0pzFzjJsA2DSNtTY1T0zWv2hOOYdomlq0bzu9GhIoZXCPx2zEEgxkBuNNQMzoN20lDVqYcHawLG35LUaSIASm6aAP89TEYBKigFltCWKDQSGdTgIN2vxEEsCSRimhW4LFY5xsFX95vVLCnYqNKA6s3asQo3GiGN/02mhOhWs6eH4Fk+eKl2eqIPzzPULlS9Fy+2xCHvF+ddHHIkitJvI5ooZ1OciXIk6erfIPlyldFJ7G6SJCkQLpyrIcEubYulCWTjqriUKkRKDv1TOvFVvSg8V81dTXVWxfNUReLCcZ339pUlmwlYagnSVbzTxWp6OjWYAmxLXGt1iypEgwtK41RYHRyGNGwEmGo1jpMiUZKg8MSarXElRfKFymGjiIpxjwgOi+YuUI3NoyOFhd0MdbBYBnYzjyocIIYpoJpnx5Z+91RAaKgoBLiEhcYYhtDbWcmoQgzTDheESHBRS5zhUhRosW4yjWuc4NYcYiPqAHLJYZb3+QWSe4wix3spKp3H0hyqZpqucs9kt3/7JPj63lDfTST8kEnudQwlmElzX1tbek1rWSH7/dQjtZoo612HpCvUJEC7XXQkWh00lmxLkqUKVdqFYZddPWebrqjh0n01MtwIxnFCD4k5RfWz1sO099JTrGM5bjgitvHqvAPPfk/XMzEXCzEkqN85RvfsdPQGSbghwNb0FiDOU4EYTVmWPPHmSYGGKSBRmywZQ+7cRQrm9jMcU5wjr3sYz8HOCvWxnIMC7FhHPPFFns+chAdgQKYw2BrxY6l2IsDwaxMZDxTmMxUxjDQSxoTR6bxnIdMp6nHPOOR1mG4vU3bzb7F0x8nbQqWr7YWBy25p2xV9mwvNqpwcWUo/CL9j1dTp3q5VOuVtV9v8PbzB30b9vDjdai6eXkg0PbBxS6Te5HpvQ/ynzdYf/0/Fk2u6YNukhIFXbLazbB9uey0VbFs+Xovkp2TtZNByrVsmnx6jHQaaTPSHDSsAA5FTjZInF+l2TEkMrHzxGm066XCMCvskL8sRyJarg4dnHfNTW93yRunW3sqp30sNNuoh5jG7dSm7VJGjjybDUvSrAkAAAA=') format('woff2');
-      }
-    ]]></style>
-    <filter id="soft-shadow" x="-20%" y="-20%" width="140%" height="140%">
-      <feDropShadow dx="0" dy="3" stdDeviation="3" flood-color="#000000" flood-opacity="0.35" />
-    </filter>
-  </defs>
-  <g transform="translate(0, ${baselineOffset}) scale(${scale})">
-    ${digitsSvg}
-  </g>
-</svg>
-`;
+  if (!authorized) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).type('text/plain').send('Missing or invalid token');
+  }
+  return next();
 }
 
 app.get('/debug-redis', async (req, res) => {
   const debug = {
     hasRedisPackage: !!Redis,
-    useRedis: useRedis,
-    redisClient: !!redisClient,
+    useRedis: isUpstashConfigured() || isRedisConfigured(),
+    redisClient: storage.type === 'upstash' || storage.type === 'redis',
+    storage: storage.type,
     envVars: {
       KV_REST_API_URL: process.env.KV_REST_API_URL ? 'Set (length: ' + process.env.KV_REST_API_URL.length + ')' : 'Not set',
       KV_REST_API_TOKEN: process.env.KV_REST_API_TOKEN ? 'Set (length: ' + process.env.KV_REST_API_TOKEN.length + ')' : 'Not set',
@@ -514,10 +537,10 @@ app.get('/debug-redis', async (req, res) => {
     error: null
   };
 
-  if (redisClient) {
+  if (storage.type === 'upstash' || storage.type === 'redis') {
     try {
-      await redisClient.set('__test__', 'ok');
-      const result = await redisClient.get('__test__');
+      await storage.client.set('__test__', 'ok');
+      const result = await storage.client.get('__test__');
       debug.testResult = result === 'ok' ? 'Success' : 'Failed (wrong value)';
     } catch (err) {
       debug.testResult = 'Failed';
@@ -531,7 +554,9 @@ app.get('/debug-redis', async (req, res) => {
 app.get('/health', async (req, res) => {
   const health = {
     status: 'ok',
-    storage: 'file',
+    storage: storage.type,
+    connected: false,
+    error: null,
     redis: {
       configured: false,
       connected: false,
@@ -545,21 +570,32 @@ app.get('/health', async (req, res) => {
         hasRedisUrl: !!process.env.REDIS_URL,
         redisUrlType: process.env.REDIS_URL ? (process.env.REDIS_URL.startsWith('https://') ? 'rest-api' : 'standard') : null
       }
+    },
+    failsafe: {
+      degraded: failsafe.degraded,
+      since: failsafe.since,
+      lastError: failsafe.lastError,
+      pendingIncrements: Array.from(pendingIncrements.values()).reduce((sum, count) => sum + count, 0),
+      pendingCounters: pendingIncrements.size,
     }
   };
 
-  if (useRedis && redisClient) {
-    health.storage = 'redis';
+  if (failsafe.degraded) {
+    health.status = 'degraded';
+  }
+
+  try {
+    await storage.ping();
+    health.connected = true;
+  } catch (err) {
+    health.error = err.message;
+    health.status = 'degraded';
+  }
+
+  if (storage.type === 'upstash' || storage.type === 'redis') {
     health.redis.configured = true;
-    
-    try {
-      await redisClient.get('__health_check__');
-      health.redis.connected = true;
-    } catch (err) {
-      health.redis.connected = false;
-      health.redis.error = err.message;
-      health.status = 'degraded';
-    }
+    health.redis.connected = health.connected;
+    health.redis.error = health.error;
   }
 
   res.json(health);
@@ -572,6 +608,8 @@ app.get('/', (req, res) => {
 
   const baseUrl = 'https://southpark-view-counter.vercel.app';
   const exampleUrl = `${baseUrl}/@demo?theme=southpark&padding=7&darkmode=auto&inc=0&num=1234567`;
+  const builderCharacters = getTheme('southpark').characters;
+  const builderDigitMap = defaultDigitMap(builderCharacters);
 
   res.type('text/html').send(`<!DOCTYPE html>
 <html lang="en">
@@ -761,6 +799,39 @@ app.get('/', (req, res) => {
       border-color: #4caf50;
       background: #e8f5e9;
     }
+    .digit-map {
+      display: flex;
+      gap: 8px;
+      flex-wrap: wrap;
+      margin: 12px 0;
+      padding: 12px;
+      background: #f5f5f5;
+      border: 2px solid #000;
+      border-radius: 6px;
+    }
+    .digit-map[hidden] {
+      display: none;
+    }
+    .digit-map-hint {
+      flex-basis: 100%;
+      margin: 0;
+      font-size: 0.85rem;
+    }
+    .digit-slot {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 4px;
+      font-weight: bold;
+    }
+    .digit-slot img {
+      width: 60px;
+      height: 60px;
+      object-fit: contain;
+      border: 2px solid #000;
+      border-radius: 4px;
+      background: #fff;
+    }
     .char-item img {
       width: 100%;
       height: 100%;
@@ -1018,10 +1089,32 @@ app.get('/', (req, res) => {
             <label for="b-name">Name</label>
             <input id="b-name" type="text" placeholder="your-github-username" value="your-github-username" />
           </div>
+          <div class="builder-field">
+            <label for="b-style">Style</label>
+            <select id="b-style">
+              <option value="counter" selected>Counter</option>
+              <option value="badge">Badge</option>
+            </select>
+          </div>
+          <div class="builder-field">
+            <label for="b-theme">Theme</label>
+            <select id="b-theme">
+              ${themeNames.map((themeName) => `<option value="${themeName}"${themeName === 'southpark' ? ' selected' : ''}>${themeName}</option>`).join('\n              ')}
+            </select>
+          </div>
           <div class="builder-field">
             <label for="b-padding">Digits</label>
             <input id="b-padding" type="number" min="1" max="16" value="7" />
           </div>
+          <div class="builder-field">
+            <label for="b-format">Number Format</label>
+            <select id="b-format">
+              <option value="padded" selected>Zero-padded (0001234)</option>
+              <option value="plain">Plain (1234)</option>
+              <option value="grouped">Grouped (1,234)</option>
+              <option value="compact">Compact (1.2K)</option>
+            </select>
+          </div>
           <div class="builder-field">
             <label for="b-darkmode">Dark Mode</label>
             <select id="b-darkmode">
@@ -1030,39 +1123,91 @@ app.get('/', (req, res) => {
               <option value="0">Light</option>
             </select>
           </div>
+          <div class="builder-field">
+            <label for="b-unique">Count</label>
+            <select id="b-unique">
+              <option value="0" selected>All views</option>
+              <option value="1">Unique visitors</option>
+            </select>
+          </div>
+          <div class="builder-field">
+            <label for="b-map">Characters</label>
+            <select id="b-map">
+              <option value="position" selected>By position</option>
+              <option value="value">By digit value</option>
+            </select>
+          </div>
+          <div class="builder-field">
+            <label for="b-animate">Animation</label>
+            <select id="b-animate">
+              <option value="" selected>None</option>
+              <option value="roll">Roll</option>
+              <option value="bounce">Bounce</option>
+              <option value="pop">Pop</option>
+            </select>
+          </div>
           <div class="builder-field">
             <label for="b-prefix">Prefix (optional)</label>
             <input id="b-prefix" type="text" placeholder="SP-" />
           </div>
         </div>
+        <div class="builder-row">
+          <div class="builder-field">
+            <label for="b-font">Font</label>
+            <select id="b-font">
+              <option value="" selected>Theme default</option>
+              ${fontNames.map((fontName) => `<option value="${fontName}">${fontName}</option>`).join('\n              ')}
+            </select>
+          </div>
+          <div class="builder-field">
+            <label for="b-color">Text Color (optional)</label>
+            <input id="b-color" type="text" placeholder="#222222" />
+          </div>
+          <div class="builder-field">
+            <label for="b-stroke">Outline Color (optional)</label>
+            <input id="b-stroke" type="text" placeholder="#ffffff" />
+          </div>
+          <div class="builder-field">
+            <label for="b-stroke-width">Outline Width</label>
+            <input id="b-stroke-width" type="number" min="0" max="12" value="0" />
+          </div>
+          <div class="builder-field">
+            <label for="b-bg">Background (optional)</label>
+            <input id="b-bg" type="text" placeholder="#f4efe0" />
+          </div>
+          <div class="builder-field">
+            <label for="b-radius">Corner Radius</label>
+            <input id="b-radius" type="number" min="0" max="100" value="0" />
+          </div>
+          <div class="builder-field">
+            <label for="b-shadow">Shadow</label>
+            <select id="b-shadow">
+              <option value="0" selected>Off</option>
+              <option value="1">On</option>
+            </select>
+          </div>
+        </div>
         <div style="margin: 16px 0;">
           <p style="margin: 0 0 8px; font-weight: bold; font-size: 0.9rem;">Customization</p>
           <p style="margin: 0 0 8px; font-size: 0.85rem;">Drag to reorder. Characters save from the left side.</p>
           <div id="char-order" class="char-order">
-            <div class="char-item" draggable="true" data-key="stan">
-              <img src="/assets/stan.png" alt="Stan" />
-            </div>
-            <div class="char-item" draggable="true" data-key="kyle">
-              <img src="/assets/kyle.png" alt="Kyle" />
-            </div>
-            <div class="char-item" draggable="true" data-key="mr-mackey">
-              <img src="/assets/mr mackey.png" alt="Mr. Mackey" />
-            </div>
-            <div class="char-item" draggable="true" data-key="kenny">
-              <img src="/assets/kenny.png" alt="Kenny" />
-            </div>
-            <div class="char-item" draggable="true" data-key="cartman">
-              <img src="/assets/cartman.png" alt="Cartman" />
-            </div>
-            <div class="char-item" draggable="true" data-key="timmy">
-              <img src="/assets/timmy.png" alt="Timmy" />
-            </div>
-            <div class="char-item" draggable="true" data-key="wendy">
-              <img src="/assets/wendy.png" alt="Wendy" />
-            </div>
+            ${builderCharacters.map((character) => `<div class="char-item" draggable="true" data-key="${character.key}">
+              <img src="${encodeURI(character.path)}" alt="${character.name}" />
+            </div>`).join('\n            ')}
           </div>
         </div>
-        <input id="b-order" type="hidden" value="stan,kyle,mr-mackey,kenny,cartman,timmy,wendy" />
+        <div id="digit-map" class="digit-map" hidden>
+          <p class="digit-map-hint">Digits follow the order above until you pick a character for one of them.</p>
+          ${builderDigitMap.map((character, digit) => `<label class="digit-slot">
+            <span>${digit}</span>
+            <img src="${encodeURI(character.path)}" alt="" />
+            <select data-digit="${digit}">
+              ${builderCharacters.map((option) => `<option value="${option.key}"${option.key === character.key ? ' selected' : ''}>${option.name}</option>`).join('')}
+            </select>
+          </label>`).join('\n          ')}
+        </div>
+        <input id="b-order" type="hidden" value="${builderCharacters.map((character) => character.key).join(',')}" />
+        <input id="b-digit-map" type="hidden" value="" />
         <button type="button" id="b-generate">Generate</button>
         <div class="builder-output">
           <div class="builder-output-row">
@@ -1119,16 +1264,45 @@ app.get('/', (req, res) => {
         var name = (document.getElementById('b-name').value || '').trim() || 'your-github-username';
         var padding = parseInt(document.getElementById('b-padding').value, 10);
         if (!Number.isFinite(padding) || padding < 1 || padding > 16) padding = 7;
+        var counterStyle = document.getElementById('b-style').value || 'counter';
+        var theme = document.getElementById('b-theme').value || 'southpark';
+        var numberFormat = document.getElementById('b-format').value || 'padded';
         var darkmode = document.getElementById('b-darkmode').value || 'auto';
+        var unique = document.getElementById('b-unique').value || '0';
+        var map = document.getElementById('b-map').value || 'position';
+        var animate = document.getElementById('b-animate').value || '';
+        var font = document.getElementById('b-font').value || '';
+        var color = (document.getElementById('b-color').value || '').trim().replace(/^#/, '');
+        var stroke = (document.getElementById('b-stroke').value || '').trim().replace(/^#/, '');
+        var strokeWidth = parseFloat(document.getElementById('b-stroke-width').value) || 0;
+        var bg = (document.getElementById('b-bg').value || '').trim().replace(/^#/, '');
+        var radius = parseFloat(document.getElementById('b-radius').value) || 0;
+        var shadow = document.getElementById('b-shadow').value || '0';
         var prefix = document.getElementById('b-prefix').value || '';
         var order = (document.getElementById('b-order').value || '').trim();
+        var digitMap = (document.getElementById('b-digit-map').value || '').trim();
 
         var params = new URLSearchParams();
-        params.set('theme', 'southpark');
+        if (counterStyle === 'badge') params.set('style', 'badge');
+        params.set('theme', theme);
         params.set('padding', String(padding));
+        if (numberFormat !== 'padded') params.set('format', numberFormat);
         params.set('darkmode', darkmode);
+        if (unique === '1') params.set('unique', '1');
         if (prefix) params.set('prefix', prefix);
         if (order) params.set('order', order);
+        if (map === 'value') {
+          params.set('map', 'value');
+          if (digitMap) params.set('digitMap', digitMap);
+        }
+        if (animate) params.set('animate', animate);
+        if (font) params.set('font', font);
+        if (color) params.set('color', color);
+        if (stroke) params.set('stroke', stroke);
+        if (strokeWidth > 0) params.set('strokeWidth', String(strokeWidth));
+        if (bg) params.set('bg', bg);
+        if (radius > 0) params.set('radius', String(radius));
+        if (shadow === '1') params.set('shadow', '1');
         
         if (forPreview) {
           params.set('inc', '0');
@@ -1204,6 +1378,39 @@ app.get('/', (req, res) => {
         });
       }
 
+      var digitMapContainer = document.getElementById('digit-map');
+      var mapSelect = document.getElementById('b-map');
+      var syncDigitMap = function () {};
+      if (digitMapContainer && mapSelect) {
+        var characterPaths = ${JSON.stringify(Object.fromEntries(builderCharacters.map((character) => [character.key, encodeURI(character.path)])))};
+        var digitSelects = digitMapContainer.querySelectorAll('select');
+
+        mapSelect.addEventListener('change', function () {
+          digitMapContainer.hidden = mapSelect.value !== 'value';
+        });
+
+        digitSelects.forEach(function (select) {
+          select.addEventListener('change', function () {
+            select.parentNode.querySelector('img').src = characterPaths[select.value];
+            var keys = [];
+            digitSelects.forEach(function (el) {
+              keys.push(el.value);
+            });
+            document.getElementById('b-digit-map').value = keys.join(',');
+          });
+        });
+
+        // Until a slot is picked by hand the URL leaves out digitMap, so the
+        // server repeats the dragged order; the slots just preview that.
+        syncDigitMap = function (orderKeys) {
+          if (document.getElementById('b-digit-map').value || !orderKeys.length) return;
+          digitSelects.forEach(function (select, digit) {
+            select.value = orderKeys[digit % orderKeys.length];
+            select.parentNode.querySelector('img').src = characterPaths[select.value];
+          });
+        };
+      }
+
       var orderContainer = document.getElementById('char-order');
       if (orderContainer) {
         var dragEl = null;
@@ -1225,6 +1432,7 @@ app.get('/', (req, res) => {
           });
           var hiddenOrder = document.getElementById('b-order');
           if (hiddenOrder) hiddenOrder.value = keys.join(',');
+          syncDigitMap(keys);
         }
         
         function clearDragState() {
@@ -1373,21 +1581,200 @@ app.get('/', (req, res) => {
 </html>`);
 });
 
-app.get('/@:name', async (req, res) => {
+app.post('/api/@:name/claim', async (req, res) => {
   const name = req.params.name;
-  if (!name || typeof name !== 'string' || name.length > 128) {
+  if (!isValidName(name)) {
     return res.status(400).type('text/plain').send('Invalid name');
   }
 
-  const userAgent = req.get('user-agent') || '';
-  const isGitHub = userAgent.includes('github-camo') || 
-                   req.get('referer')?.includes('github.com') ||
-                   req.get('x-forwarded-for')?.includes('github');
-  
-  if (isGitHub) {
-    console.log('Request detected from GitHub, using optimized settings');
+  let token;
+  try {
+    token = await claimCounter(name);
+  } catch (err) {
+    console.error(`Failed to claim ${name}:`, err);
+    return res.status(503).type('text/plain').send('Storage unavailable');
+  }
+
+  if (!token) {
+    return res.status(409).type('text/plain').send('Counter already claimed');
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(201).json({ name, token });
+});
+
+app.get('/api/@:name', async (req, res) => {
+  const name = req.params.name;
+  if (!isValidName(name)) {
+    return res.status(400).type('text/plain').send('Invalid name');
+  }
+
+  const value = await peekCounter(name);
+
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  return res.json({ name, value });
+});
+
+app.get('/api/@:name/shields', async (req, res) => {
+  const name = req.params.name;
+  if (!isValidName(name)) {
+    return res.status(400).type('text/plain').send('Invalid name');
+  }
+
+  let query;
+  try {
+    query = shieldsQuerySchema.parse(req.query);
+  } catch (err) {
+    return res.status(400).type('text/plain').send('Invalid query params');
+  }
+
+  const value = await peekCounter(name);
+
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  return res.json({
+    schemaVersion: 1,
+    label: query.label,
+    message: formatValue(value, { format: query.format, padding: 1, lang: query.lang }),
+    color: query.color,
+  });
+});
+
+const jsonBody = express.json({ limit: '1kb' });
+
+function parseJsonBody(req, res, next) {
+  jsonBody(req, res, (err) => {
+    if (err) {
+      const status = err.status === 413 ? 413 : 400;
+      return res.status(status).type('text/plain').send(status === 413 ? 'Body too large' : 'Body must be JSON like {"value": 123}');
+    }
+    return next();
+  });
+}
+
+app.put('/api/@:name', requireOwner, parseJsonBody, async (req, res) => {
+  const parsed = counterValueSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).type('text/plain').send('Body must be JSON like {"value": 123}');
+  }
+
+  const name = req.params.name;
+  try {
+    await setCounter(name, parsed.data.value);
+  } catch (err) {
+    console.error(`Failed to set ${name}:`, err);
+    return res.status(503).type('text/plain').send('Storage unavailable');
+  }
+  return res.json({ name, value: parsed.data.value });
+});
+
+app.post('/api/@:name/reset', requireOwner, async (req, res) => {
+  const name = req.params.name;
+  try {
+    await setCounter(name, 0);
+  } catch (err) {
+    console.error(`Failed to reset ${name}:`, err);
+    return res.status(503).type('text/plain').send('Storage unavailable');
+  }
+  return res.json({ name, value: 0 });
+});
+
+app.delete('/api/@:name', requireOwner, async (req, res) => {
+  const name = req.params.name;
+  let deleted;
+  try {
+    deleted = await deleteCounter(name);
+  } catch (err) {
+    console.error(`Failed to delete ${name}:`, err);
+    return res.status(503).type('text/plain').send('Storage unavailable');
+  }
+  return res.json({ name, deleted });
+});
+
+app.get('/api/@:name/history', async (req, res) => {
+  const name = req.params.name;
+  if (!isValidName(name)) {
+    return res.status(400).type('text/plain').send('Invalid name');
+  }
+
+  let query;
+  try {
+    query = historyQuerySchema.parse(req.query);
+  } catch (err) {
+    return res.status(400).type('text/plain').send('Invalid query params');
+  }
+
+  let history;
+  try {
+    history = await readHistory(storage, name, query);
+  } catch (err) {
+    if (err instanceof RangeError) {
+      return res.status(400).type('text/plain').send(err.message);
+    }
+    console.error(`Failed to read history for ${name}:`, err);
+    return res.status(503).type('text/plain').send('History unavailable');
+  }
+
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.vary('Accept');
+
+  return res.format({
+    'application/json': () => res.json(history),
+    'text/csv': () => {
+      const rows = history.buckets.map(({ bucket, views }) => `${bucket},${views}`);
+      res.attachment(`${name}-${history.granularity}-history.csv`);
+      res.send(['bucket,views', ...rows].join('\n') + '\n');
+    },
+  });
+});
+
+const renderCache = createLruCache({
+  maxEntries: parseInt(process.env.RENDER_CACHE_SIZE, 10) || 200,
+});
+const fixedCacheControl = 'public, max-age=86400, stale-while-revalidate=604800';
+const peekCacheControl = 'public, max-age=60, stale-while-revalidate=600';
+
+function renderCacheKey(format, options) {
+  return JSON.stringify({
+    ...options,
+    format,
+    theme: options.theme.name,
+    characterOrder: options.characterOrder.map((character) => character.key),
+    digitCharacters: options.digitCharacters && options.digitCharacters.map((character) => character.key),
+  });
+}
+
+function resolveImageFormat(req) {
+  const match = /\.(svg|png|webp)$/i.exec(req.params.name);
+  if (match) {
+    return { name: req.params.name.slice(0, match.index), format: match[1].toLowerCase() };
+  }
+  if (req.accepts('image/svg+xml')) {
+    return { name: req.params.name, format: 'svg' };
+  }
+  const accepted = req.accepts(Object.values(rasterMimeTypes));
+  const format = Object.keys(rasterMimeTypes).find((key) => rasterMimeTypes[key] === accepted);
+  return { name: req.params.name, format: format || 'svg' };
+}
+
+app.get('/@:name', async (req, res) => {
+  const { name, format } = resolveImageFormat(req);
+  if (!isValidName(name)) {
+    return res.status(400).type('text/plain').send('Invalid name');
   }
 
+  if (format !== 'svg' && !isRasterAvailable()) {
+    return res
+      .status(501)
+      .type('text/plain')
+      .send(`${format.toUpperCase()} output requires the sharp package, which is not installed on this server`);
+  }
+
+  const userAgent = req.get('user-agent') || '';
+  const isGitHub = userAgent.includes('github-camo');
+
   let parsed;
   try {
     parsed = querySchema.parse(req.query);
@@ -1395,95 +1782,204 @@ app.get('/@:name', async (req, res) => {
     return res.status(400).type('text/plain').send('Invalid query params');
   }
 
-  const { num, prefix, inc, padding, offset, scale, align, darkmode, pixelated, order } =
-    parsed;
+  const {
+    num,
+    prefix,
+    format: numberFormat,
+    lang,
+    inc,
+    cooldown,
+    unique,
+    padding,
+    offset,
+    scale,
+    align,
+    darkmode,
+    pixelated,
+    order,
+    map,
+    digitMap,
+    animate,
+    alt,
+    suffix,
+    label,
+    labelPosition,
+    labelSize,
+    labelColor,
+    characters,
+    color,
+    bg,
+    stroke,
+    strokeWidth,
+    shadow,
+    radius,
+    font,
+    scene,
+    sceneBlur,
+    sceneDim,
+    layout,
+    cols,
+    style: counterStyle,
+  } = parsed;
+
+  const theme = getTheme(parsed.theme);
+  if (!theme) {
+    return res
+      .status(400)
+      .type('text/plain')
+      .send(`Unknown theme "${parsed.theme}". Available themes: ${themeNames.join(', ')}`);
+  }
+
+  const characterOrder = parseOrder(order, theme) || theme.characters;
+  let digitCharacters;
+  if (map === 'value') {
+    digitCharacters = digitMap && theme.characters.length ? parseDigitMap(digitMap, theme) : defaultDigitMap(characterOrder);
+    if (!digitCharacters) {
+      return res
+        .status(400)
+        .type('text/plain')
+        .send(`digitMap needs 10 comma-separated character keys for digits 0-9. Available characters: ${theme.characters.map((c) => c.key).join(', ')}`);
+    }
+  }
+
+  if (parsed.scene && !isRasterAvailable()) {
+    return res
+      .status(501)
+      .type('text/plain')
+      .send('Scene backdrops require the sharp package, which is not installed on this server');
+  }
 
   let value;
+  let previousValue;
   if (num && num > 0) {
     value = num;
   } else {
-    value = inc === 1 ? await getAndIncrementCounter(name) : await peekCounter(name);
-  }
-
-  const customOrder = parseOrder(order);
-  const imagesToLoad = customOrder && customOrder.length
-    ? customOrder
-    : [
-        '/assets/stan.png',
-        '/assets/kyle.png',
-        '/assets/mr mackey.png',
-        '/assets/kenny.png',
-        '/assets/cartman.png',
-        '/assets/timmy.png',
-        '/assets/wendy.png',
-      ];
-  
-  for (const imgPath of imagesToLoad) {
-    if (!imageDataUriCache.has(imgPath)) {
-      try {
-        await imageToDataUri(imgPath);
-      } catch (err) {
-        console.error(`Failed to load ${imgPath}:`, err);
-      }
+    const visitorHash = hashVisitor(req);
+    const cooldownMs = isGitHub && githubCooldownMs != null
+      ? githubCooldownMs
+      : Math.max(cooldown ?? 0, defaultCooldownMs);
+    const shouldIncrement = inc === 1 && await claimCooldown(name, visitorHash, cooldownMs);
+    const total = shouldIncrement ? await getAndIncrementCounter(name) : await peekCounter(name);
+    if (shouldIncrement) {
+      await recordVisitor(name, visitorHash);
+    }
+    value = unique === 1 ? await peekUniqueVisitors(name) : total;
+    if (shouldIncrement && unique !== 1) {
+      previousValue = total - 1;
     }
   }
 
-  const svg = renderSouthParkCounter({
+  const renderOptions = {
+    theme,
     value,
     padding,
+    numberFormat,
+    lang,
     offset,
     scale,
     align,
     darkmode,
     pixelated,
     prefix,
-    characterOrder: imagesToLoad,
-  });
+    suffix,
+    label,
+    labelPosition,
+    labelSize,
+    labelColor,
+    characterOrder,
+    counterStyle,
+    characterMap: map,
+    digitCharacters,
+    characterCells: characters,
+    layout,
+    cols: layout === 'grid' ? cols : undefined,
+    color,
+    bg,
+    stroke,
+    strokeWidth: stroke && strokeWidth == null ? 2 : strokeWidth,
+    shadow,
+    radius,
+    font,
+    scene,
+    sceneBlur: scene ? sceneBlur : 0,
+    sceneDim: scene ? sceneDim : 0,
+    animate,
+    previousValue: animate === 'roll' ? previousValue ?? value : undefined,
+    name,
+    unique,
+    alt,
+  };
 
-  res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
-  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-  res.setHeader('Pragma', 'no-cache');
-  res.setHeader('Expires', '0');
+  const incrementing = !(num && num > 0) && inc === 1;
+  const cacheKey = renderCacheKey(format, renderOptions);
+  let rendered = incrementing ? undefined : renderCache.get(cacheKey);
+  const cached = !!rendered;
+  if (!rendered) {
+    await loadCharacterImages([...characterOrder, ...(digitCharacters || [])]);
+    const render = counterStyle === 'badge' ? renderBadge : renderSouthParkCounter;
+    let svg;
+    let savedBytes;
+    try {
+      ({ svg, savedBytes } = await render(renderOptions));
+    } catch (err) {
+      console.error(`Failed to render counter for ${name}:`, err);
+      return res.status(500).type('text/plain').send('Failed to render counter image');
+    }
+
+    let body = svg;
+    if (format !== 'svg') {
+      try {
+        body = await rasterize(svg, format);
+      } catch (err) {
+        console.error(`Failed to render ${format} for ${name}:`, err);
+        return res.status(500).type('text/plain').send(`Failed to render ${format.toUpperCase()} image`);
+      }
+    }
+
+    rendered = {
+      body,
+      etag: `"${crypto.createHash('sha256').update(body).digest('base64url')}"`,
+      svgBytes: Buffer.byteLength(svg, 'utf8'),
+      savedBytes,
+    };
+    if (!incrementing) {
+      renderCache.set(cacheKey, rendered);
+    }
+  }
+
+  res.setHeader('Content-Type', format === 'svg' ? 'image/svg+xml; charset=utf-8' : rasterMimeTypes[format]);
+  res.setHeader('Vary', 'Accept');
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('X-Content-Type-Options', 'nosniff');
 
-  const svgSize = Buffer.byteLength(svg, 'utf8') / 1024;
-  console.log(`SVG size: ${svgSize.toFixed(2)}KB`);
+  if (incrementing) {
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+  } else {
+    res.setHeader('Cache-Control', num && num > 0 ? fixedCacheControl : peekCacheControl);
+    res.setHeader('ETag', rendered.etag);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+  }
+
+  const svgSize = rendered.svgBytes / 1024;
+  const savedSize = rendered.savedBytes / 1024;
+  const cacheNote = cached ? ', cached' : '';
+  if (format === 'svg') {
+    console.log(`SVG size: ${svgSize.toFixed(2)}KB (saved ${savedSize.toFixed(2)}KB${cacheNote})`);
+  } else {
+    console.log(`SVG size: ${svgSize.toFixed(2)}KB (saved ${savedSize.toFixed(2)}KB${cacheNote}), ${format.toUpperCase()} size: ${(rendered.body.length / 1024).toFixed(2)}KB`);
+  }
 
-  return res.send(svg);
+  return res.send(rendered.body);
 });
 
 app.use((req, res) => {
   res.status(404).type('text/plain').send('Not found');
 });
 
-const characterImages = [
-  '/assets/stan.png',
-  '/assets/kyle.png',    
-  '/assets/mr mackey.png',
-  '/assets/kenny.png',
-  '/assets/cartman.png',
-  '/assets/timmy.png',
-  '/assets/wendy.png',
-];
-
-async function preloadImages() {
-  console.log('Pre-loading and compressing images...');
-  for (const imgPath of characterImages) {
-    try {
-      await imageToDataUri(imgPath);
-      const cached = imageDataUriCache.get(imgPath);
-      const sizeKB = cached ? (cached.length * 3 / 4 / 1024).toFixed(0) : 0;
-      console.log(`Loaded ${imgPath}: ${sizeKB}KB`);
-    } catch (err) {
-      console.error(`Failed to pre-load ${imgPath}:`, err);
-    }
-  }
-  const totalSize = Array.from(imageDataUriCache.values())
-    .reduce((sum, uri) => sum + (uri.length * 3 / 4), 0) / 1024 / 1024;
-  console.log(`All images loaded. Total size: ${totalSize.toFixed(2)}MB`);
-}
-
 preloadImages().catch(console.error);
 
 module.exports = app;
@@ -0,0 +1,58 @@
+const counterKeyPrefix = 'counter:';
+
+function counterKey(name) {
+  return `${counterKeyPrefix}${name}`;
+}
+
+function historyKey(name, granularity) {
+  return `history:${granularity}:${name}`;
+}
+
+function visitorsKey(name) {
+  return `visitors:${name}`;
+}
+
+function cooldownKey(key) {
+  return `cooldown:${key}`;
+}
+
+const ownerKeyPrefix = 'owner:';
+
+function ownerKey(name) {
+  return `${ownerKeyPrefix}${name}`;
+}
+
+function toCount(value) {
+  const num = typeof value === 'string' ? Number(value) : value;
+  return typeof num === 'number' && Number.isFinite(num) ? num : 0;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function sortByName(entries) {
+  return entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+}
+
+module.exports = {
+  counterKeyPrefix,
+  counterKey,
+  historyKey,
+  visitorsKey,
+  cooldownKey,
+  ownerKeyPrefix,
+  ownerKey,
+  toCount,
+  sleep,
+  withTimeout,
+  sortByName,
+};
@@ -0,0 +1,25 @@
+const maxEntries = 100000;
+
+function createMemoryCooldowns() {
+  const expiries = new Map();
+
+  function evict(now) {
+    for (const [key, expiresAt] of expiries) {
+      if (expiresAt <= now) expiries.delete(key);
+    }
+    while (expiries.size >= maxEntries) {
+      expiries.delete(expiries.keys().next().value);
+    }
+  }
+
+  return async function claimCooldown(key, ttlMs) {
+    const now = Date.now();
+    const expiresAt = expiries.get(key);
+    if (expiresAt && expiresAt > now) return false;
+    if (expiries.size >= maxEntries) evict(now);
+    expiries.set(key, now + ttlMs);
+    return true;
+  };
+}
+
+module.exports = { createMemoryCooldowns };
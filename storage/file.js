@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { toCount, sleep, sortByName } = require('./common');
+const { toRegisters, addHash, mergeRegisters, estimate } = require('./hyperloglog');
+const { createMemoryCooldowns } = require('./cooldown');
+
+const lockStaleMs = 10 * 1000;
+const lockTimeoutMs = 5 * 1000;
+
+function defaultFilePath() {
+  if (process.env.COUNTERS_FILE) return process.env.COUNTERS_FILE;
+  return process.env.VERCEL === '1' || process.env.VERCEL_ENV
+    ? '/tmp/counters.json'
+    : path.join(__dirname, '..', 'counters.json');
+}
+
+function siblingPath(filePath, suffix) {
+  const ext = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - ext.length)}-${suffix}${ext || '.json'}`;
+}
+
+function toPlainMap(key, value) {
+  return value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.assign(Object.create(null), value)
+    : value;
+}
+
+function openJsonFile(filePath) {
+  const lockPath = `${filePath}.lock`;
+
+  async function withLock(fn) {
+    const deadline = Date.now() + lockTimeoutMs;
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockPath, 'wx'));
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        try {
+          if (Date.now() - fs.statSync(lockPath).mtimeMs > lockStaleMs) {
+            fs.unlinkSync(lockPath);
+            continue;
+          }
+        } catch {
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for ${lockPath}`);
+        }
+        await sleep(10);
+      }
+    }
+
+    try {
+      return fn();
+    } finally {
+      try {
+        fs.unlinkSync(lockPath);
+      } catch {
+      }
+    }
+  }
+
+  function read() {
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return Object.create(null);
+      throw err;
+    }
+    const data = JSON.parse(raw, toPlainMap);
+    if (data && typeof data === 'object' && !Array.isArray(data)) return data;
+    throw new Error(`${filePath} does not contain a JSON object`);
+  }
+
+  function write(data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function update(fn) {
+    return withLock(() => {
+      const data = read();
+      const result = fn(data);
+      write(data);
+      return result;
+    });
+  }
+
+  return { read, update };
+}
+
+function createFileStore({ filePath = defaultFilePath() } = {}) {
+  const counters = openJsonFile(filePath);
+  const history = openJsonFile(siblingPath(filePath, 'history'));
+  const visitors = openJsonFile(siblingPath(filePath, 'visitors'));
+  const owners = openJsonFile(siblingPath(filePath, 'owners'));
+
+  return {
+    type: 'file',
+    filePath,
+
+    async get(name) {
+      return toCount(counters.read()[name]);
+    },
+
+    async increment(name, by = 1) {
+      return counters.update((store) => {
+        const nextValue = toCount(store[name]) + by;
+        store[name] = nextValue;
+        return nextValue;
+      });
+    },
+
+    async set(name, value) {
+      await counters.update((store) => {
+        store[name] = toCount(value);
+      });
+    },
+
+    async list() {
+      return sortByName(Object.entries(counters.read()).map(([name, value]) => ({ name, value: toCount(value) })));
+    },
+
+    async delete(name) {
+      await history.update((data) => {
+        for (const series of Object.values(data)) delete series[name];
+      });
+      await visitors.update((data) => {
+        delete data[name];
+      });
+      return counters.update((store) => {
+        if (!Object.prototype.hasOwnProperty.call(store, name)) return false;
+        delete store[name];
+        return true;
+      });
+    },
+
+    async incrementBucket(name, granularity, bucket, by = 1) {
+      await history.update((data) => {
+        const series = ((data[granularity] ||= Object.create(null))[name] ||= Object.create(null));
+        series[bucket] = toCount(series[bucket]) + by;
+      });
+    },
+
+    async getBuckets(name, granularity) {
+      const series = (history.read()[granularity] || Object.create(null))[name] || {};
+      return Object.fromEntries(Object.entries(series).map(([bucket, count]) => [bucket, toCount(count)]));
+    },
+
+    async deleteBuckets(name, granularity, buckets) {
+      if (!buckets.length) return;
+      await history.update((data) => {
+        const series = (data[granularity] || Object.create(null))[name];
+        if (!series) return;
+        for (const bucket of buckets) delete series[bucket];
+      });
+    },
+
+    async addVisitor(name, visitorHash) {
+      return visitors.update((data) => {
+        const registers = toRegisters(data[name]);
+        const changed = addHash(registers, visitorHash);
+        data[name] = registers.toString('base64');
+        return changed;
+      });
+    },
+
+    async countVisitors(name) {
+      const registers = visitors.read()[name];
+      return registers ? estimate(toRegisters(registers)) : 0;
+    },
+
+    async getVisitorRegisters(name) {
+      const registers = visitors.read()[name];
+      return registers ? toRegisters(registers) : null;
+    },
+
+    async mergeVisitorRegisters(name, registers) {
+      await visitors.update((data) => {
+        const merged = toRegisters(data[name]);
+        mergeRegisters(merged, registers);
+        data[name] = merged.toString('base64');
+      });
+    },
+
+    claimCooldown: createMemoryCooldowns(),
+
+    async claimOwner(name, tokenHash) {
+      return owners.update((data) => {
+        if (Object.prototype.hasOwnProperty.call(data, name)) return false;
+        data[name] = tokenHash;
+        return true;
+      });
+    },
+
+    async getOwner(name) {
+      return owners.read()[name] || null;
+    },
+
+    async listOwners() {
+      return sortByName(Object.entries(owners.read()).map(([name, tokenHash]) => ({ name, tokenHash })));
+    },
+
+    async ping() {
+      counters.read();
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,99 @@
+const hourMs = 60 * 60 * 1000;
+const dayMs = 24 * hourMs;
+
+const granularities = {
+  hour: { stepMs: hourMs, maxBuckets: 24 * 31, defaultSpan: 48 },
+  day: { stepMs: dayMs, maxBuckets: 366 * 2, defaultSpan: 30 },
+};
+
+// Every view lands in both an hourly and a daily bucket, so once hourly
+// buckets age out the daily ones already hold their totals.
+const retentionDays = {
+  hour: Number(process.env.HISTORY_HOURLY_RETENTION_DAYS) || 7,
+  day: Number(process.env.HISTORY_DAILY_RETENTION_DAYS) || 0,
+};
+
+const lastPruned = new Map();
+const maxTrackedPrunes = 10000;
+
+function bucketFor(granularity, date) {
+  const iso = date.toISOString();
+  return granularity === 'hour' ? iso.slice(0, 13) : iso.slice(0, 10);
+}
+
+function bucketStart(granularity, bucket) {
+  return new Date(granularity === 'hour' ? `${bucket}:00:00.000Z` : `${bucket}T00:00:00.000Z`);
+}
+
+async function pruneHistory(storage, name, now = new Date()) {
+  for (const granularity of Object.keys(granularities)) {
+    const days = retentionDays[granularity];
+    if (!days) continue;
+    const cutoff = bucketFor(granularity, new Date(now.getTime() - days * dayMs));
+    const buckets = await storage.getBuckets(name, granularity);
+    const expired = Object.keys(buckets).filter((bucket) => bucket < cutoff);
+    await storage.deleteBuckets(name, granularity, expired);
+  }
+}
+
+async function recordHistory(storage, name, by = 1, now = new Date()) {
+  await Promise.all(Object.keys(granularities).map((granularity) =>
+    storage.incrementBucket(name, granularity, bucketFor(granularity, now), by)
+  ));
+
+  const hour = bucketFor('hour', now);
+  if (lastPruned.get(name) !== hour) {
+    if (lastPruned.size >= maxTrackedPrunes) lastPruned.clear();
+    lastPruned.set(name, hour);
+    await pruneHistory(storage, name, now);
+  }
+}
+
+function resolveRange(granularity, from, to, now = new Date()) {
+  const { stepMs, maxBuckets, defaultSpan } = granularities[granularity];
+  const end = bucketStart(granularity, bucketFor(granularity, to || now));
+  const start = bucketStart(
+    granularity,
+    bucketFor(granularity, from || new Date(end.getTime() - (defaultSpan - 1) * stepMs))
+  );
+  if (start > end) {
+    throw new RangeError('"from" must not be after "to"');
+  }
+  const count = Math.round((end - start) / stepMs) + 1;
+  if (count > maxBuckets) {
+    throw new RangeError(`Range too large: at most ${maxBuckets} ${granularity} buckets per request`);
+  }
+  return { start, count, stepMs };
+}
+
+async function readHistory(storage, name, { granularity = 'day', from, to } = {}) {
+  const { start, count, stepMs } = resolveRange(granularity, from, to);
+  const stored = await storage.getBuckets(name, granularity);
+
+  const buckets = [];
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    const bucket = bucketFor(granularity, new Date(start.getTime() + i * stepMs));
+    const views = stored[bucket] || 0;
+    total += views;
+    buckets.push({ bucket, views });
+  }
+
+  return {
+    name,
+    granularity,
+    from: buckets[0].bucket,
+    to: buckets[buckets.length - 1].bucket,
+    total,
+    buckets,
+  };
+}
+
+module.exports = {
+  granularities,
+  bucketFor,
+  bucketStart,
+  recordHistory,
+  pruneHistory,
+  readHistory,
+};
@@ -0,0 +1,57 @@
+const precision = 12;
+const registerCount = 1 << precision;
+const alpha = 0.7213 / (1 + 1.079 / registerCount);
+
+function createRegisters() {
+  return Buffer.alloc(registerCount);
+}
+
+function toRegisters(value) {
+  if (Buffer.isBuffer(value) && value.length === registerCount) return Buffer.from(value);
+  if (typeof value === 'string') {
+    const decoded = Buffer.from(value, 'base64');
+    if (decoded.length === registerCount) return decoded;
+  }
+  return createRegisters();
+}
+
+function addHash(registers, hashHex) {
+  const index = parseInt(hashHex.slice(0, 8), 16) >>> (32 - precision);
+  const rank = Math.clz32(parseInt(hashHex.slice(8, 16), 16)) + 1;
+  if (rank <= registers[index]) return false;
+  registers[index] = rank;
+  return true;
+}
+
+function mergeRegisters(registers, other) {
+  let changed = false;
+  for (let i = 0; i < registerCount; i++) {
+    if (other[i] > registers[i]) {
+      registers[i] = other[i];
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+function estimate(registers) {
+  let sum = 0;
+  let zeros = 0;
+  for (const register of registers) {
+    sum += 2 ** -register;
+    if (register === 0) zeros++;
+  }
+  const raw = (alpha * registerCount * registerCount) / sum;
+  if (raw <= 2.5 * registerCount && zeros > 0) {
+    return Math.round(registerCount * Math.log(registerCount / zeros));
+  }
+  return Math.round(raw);
+}
+
+module.exports = {
+  createRegisters,
+  toRegisters,
+  addHash,
+  mergeRegisters,
+  estimate,
+};
@@ -0,0 +1,49 @@
+const { createFileStore } = require('./file');
+const { createMemoryStore } = require('./memory');
+const { isRedisConfigured, createRedisStore } = require('./redis');
+const { createSqliteStore } = require('./sqlite');
+const { isUpstashConfigured, createUpstashStore } = require('./upstash');
+
+// Every backend returns the same adapter shape:
+//   get(name), increment(name, by), set(name, value), list(), ping(), close()
+//   delete(name)  (also drops the counter's history and visitors, but not its owner)
+//   incrementBucket(name, granularity, bucket, by), getBuckets(name, granularity),
+//   deleteBuckets(name, granularity, buckets)
+//   addVisitor(name, visitorHash), countVisitors(name)  (HyperLogLog estimate)
+//   claimCooldown(key, ttlMs)  (true unless the key was claimed within ttlMs)
+//   claimOwner(name, tokenHash)  (false if already claimed), getOwner(name),
+//   listOwners()  ([{ name, tokenHash }])
+// Backends that keep their own HyperLogLog registers (file, memory, sqlite) also
+// have getVisitorRegisters(name) and mergeVisitorRegisters(name, registers);
+// Redis' native HyperLogLogs can't be converted to or from them.
+// All methods are async and counter values are plain integers.
+// Factories take an optional `logger` (default console) for setup messages.
+const backends = {
+  upstash: createUpstashStore,
+  redis: createRedisStore,
+  file: createFileStore,
+  memory: createMemoryStore,
+  sqlite: createSqliteStore,
+};
+
+function resolveBackend(backend = process.env.STORAGE_BACKEND) {
+  if (backend) return backend.trim().toLowerCase();
+  if (isUpstashConfigured()) return 'upstash';
+  if (isRedisConfigured()) return 'redis';
+  return 'file';
+}
+
+function createStorage({ backend, ...options } = {}) {
+  const resolved = resolveBackend(backend);
+  const factory = backends[resolved];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${resolved}" (expected one of: ${Object.keys(backends).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  backends,
+  resolveBackend,
+  createStorage,
+};
@@ -0,0 +1,99 @@
+const { toCount, sortByName } = require('./common');
+const { createRegisters, addHash, mergeRegisters, estimate } = require('./hyperloglog');
+const { createMemoryCooldowns } = require('./cooldown');
+
+function createMemoryStore() {
+  const counters = new Map();
+  const history = new Map();
+  const visitors = new Map();
+  const owners = new Map();
+
+  function series(name, granularity) {
+    if (!history.has(name)) history.set(name, new Map());
+    const byGranularity = history.get(name);
+    if (!byGranularity.has(granularity)) byGranularity.set(granularity, new Map());
+    return byGranularity.get(granularity);
+  }
+
+  return {
+    type: 'memory',
+
+    async get(name) {
+      return counters.get(name) || 0;
+    },
+
+    async increment(name, by = 1) {
+      const value = (counters.get(name) || 0) + by;
+      counters.set(name, value);
+      return value;
+    },
+
+    async set(name, value) {
+      counters.set(name, toCount(value));
+    },
+
+    async list() {
+      return sortByName(Array.from(counters, ([name, value]) => ({ name, value })));
+    },
+
+    async delete(name) {
+      history.delete(name);
+      visitors.delete(name);
+      return counters.delete(name);
+    },
+
+    async incrementBucket(name, granularity, bucket, by = 1) {
+      const buckets = series(name, granularity);
+      buckets.set(bucket, (buckets.get(bucket) || 0) + by);
+    },
+
+    async getBuckets(name, granularity) {
+      return Object.fromEntries(series(name, granularity));
+    },
+
+    async deleteBuckets(name, granularity, buckets) {
+      const existing = series(name, granularity);
+      for (const bucket of buckets) existing.delete(bucket);
+    },
+
+    async addVisitor(name, visitorHash) {
+      if (!visitors.has(name)) visitors.set(name, createRegisters());
+      return addHash(visitors.get(name), visitorHash);
+    },
+
+    async countVisitors(name) {
+      return visitors.has(name) ? estimate(visitors.get(name)) : 0;
+    },
+
+    async getVisitorRegisters(name) {
+      return visitors.has(name) ? Buffer.from(visitors.get(name)) : null;
+    },
+
+    async mergeVisitorRegisters(name, registers) {
+      if (!visitors.has(name)) visitors.set(name, createRegisters());
+      mergeRegisters(visitors.get(name), registers);
+    },
+
+    claimCooldown: createMemoryCooldowns(),
+
+    async claimOwner(name, tokenHash) {
+      if (owners.has(name)) return false;
+      owners.set(name, tokenHash);
+      return true;
+    },
+
+    async getOwner(name) {
+      return owners.get(name) || null;
+    },
+
+    async listOwners() {
+      return sortByName(Array.from(owners, ([name, tokenHash]) => ({ name, tokenHash })));
+    },
+
+    async ping() {},
+
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,201 @@
+const {
+  counterKeyPrefix,
+  counterKey,
+  historyKey,
+  visitorsKey,
+  cooldownKey,
+  ownerKeyPrefix,
+  ownerKey,
+  toCount,
+  withTimeout,
+  sortByName,
+} = require('./common');
+const { granularities } = require('./history');
+
+let createClientPool;
+try {
+  ({ createClientPool } = require('redis'));
+} catch (e) {
+  console.warn('redis package not available, redis:// URLs are disabled');
+}
+
+const maxReconnectDelayMs = 5000;
+const commandTimeoutMs = 5000;
+
+function isRedisUrl(url) {
+  return typeof url === 'string' && /^rediss?:\/\//.test(url);
+}
+
+function isRedisConfigured() {
+  return !!(createClientPool && isRedisUrl(process.env.REDIS_URL));
+}
+
+function createRedisStore({
+  url = process.env.REDIS_URL,
+  minimum = Number(process.env.REDIS_POOL_MIN) || 1,
+  maximum = Number(process.env.REDIS_POOL_MAX) || 10,
+  logger = console,
+} = {}) {
+  if (!createClientPool) {
+    throw new Error('redis package not available, install it to use redis:// URLs');
+  }
+  if (!isRedisUrl(url)) {
+    throw new Error('REDIS_URL must start with redis:// or rediss://');
+  }
+
+  const useTls = url.startsWith('rediss://');
+  const pool = createClientPool({
+    url,
+    socket: {
+      tls: useTls,
+      rejectUnauthorized: useTls ? process.env.REDIS_TLS_INSECURE !== '1' : undefined,
+      connectTimeout: commandTimeoutMs,
+      reconnectStrategy: (retries) => Math.min(2 ** retries * 50, maxReconnectDelayMs),
+    },
+    disableOfflineQueue: true,
+  }, {
+    minimum,
+    maximum: Math.max(minimum, maximum),
+    acquireTimeout: commandTimeoutMs,
+  });
+
+  let lastError = null;
+  pool.on('error', (err) => {
+    if (!lastError || lastError.message !== err.message) {
+      logger.error('Redis connection error:', err.message);
+    }
+    lastError = err;
+  });
+
+  let connectPromise = null;
+
+  function connect() {
+    if (!connectPromise) {
+      connectPromise = pool.connect()
+        .then(() => {
+          lastError = null;
+          logger.log(`Redis connected (${useTls ? 'TLS' : 'plain TCP'}, pool ${minimum}-${maximum})`);
+          return pool;
+        })
+        .catch((err) => {
+          connectPromise = null;
+          throw err;
+        });
+    }
+    return connectPromise;
+  }
+
+  function run(fn) {
+    return withTimeout(connect().then(fn), commandTimeoutMs, 'Redis command');
+  }
+
+  async function scanValues(prefix) {
+    const client = await withTimeout(connect(), commandTimeoutMs, 'Redis connect');
+    const keys = [];
+    let cursor = '0';
+    do {
+      const reply = await client.scan(cursor, { MATCH: `${prefix}*`, COUNT: 500 });
+      cursor = String(reply.cursor);
+      keys.push(...reply.keys);
+    } while (cursor !== '0');
+
+    const entries = [];
+    for (let i = 0; i < keys.length; i += 100) {
+      const chunk = keys.slice(i, i + 100);
+      const values = await client.mGet(chunk);
+      chunk.forEach((key, idx) => {
+        entries.push({ name: key.slice(prefix.length), value: values[idx] });
+      });
+    }
+    return sortByName(entries);
+  }
+
+  return {
+    type: 'redis',
+    client: pool,
+
+    async get(name) {
+      return toCount(await run((client) => client.get(counterKey(name))));
+    },
+
+    async increment(name, by = 1) {
+      return toCount(await run((client) => client.incrBy(counterKey(name), by)));
+    },
+
+    async set(name, value) {
+      await run((client) => client.set(counterKey(name), String(toCount(value))));
+    },
+
+    async list() {
+      const entries = await scanValues(counterKeyPrefix);
+      return entries.map(({ name, value }) => ({ name, value: toCount(value) }));
+    },
+
+    async delete(name) {
+      const historyKeys = Object.keys(granularities).map((granularity) => historyKey(name, granularity));
+      await run((client) => client.del([...historyKeys, visitorsKey(name)]));
+      return (await run((client) => client.del(counterKey(name)))) > 0;
+    },
+
+    async incrementBucket(name, granularity, bucket, by = 1) {
+      await run((client) => client.hIncrBy(historyKey(name, granularity), bucket, by));
+    },
+
+    async getBuckets(name, granularity) {
+      const buckets = await run((client) => client.hGetAll(historyKey(name, granularity)));
+      return Object.fromEntries(Object.entries(buckets).map(([bucket, count]) => [bucket, toCount(count)]));
+    },
+
+    async deleteBuckets(name, granularity, buckets) {
+      if (!buckets.length) return;
+      await run((client) => client.hDel(historyKey(name, granularity), buckets));
+    },
+
+    async addVisitor(name, visitorHash) {
+      return (await run((client) => client.pfAdd(visitorsKey(name), visitorHash))) === 1;
+    },
+
+    async countVisitors(name) {
+      return toCount(await run((client) => client.pfCount(visitorsKey(name))));
+    },
+
+    async claimCooldown(key, ttlMs) {
+      const reply = await run((client) => client.set(cooldownKey(key), '1', {
+        condition: 'NX',
+        expiration: { type: 'PX', value: ttlMs },
+      }));
+      return reply === 'OK';
+    },
+
+    async claimOwner(name, tokenHash) {
+      return (await run((client) => client.set(ownerKey(name), tokenHash, { condition: 'NX' }))) === 'OK';
+    },
+
+    async getOwner(name) {
+      return run((client) => client.get(ownerKey(name)));
+    },
+
+    async listOwners() {
+      const entries = await scanValues(ownerKeyPrefix);
+      return entries.filter(({ value }) => value).map(({ name, value }) => ({ name, tokenHash: value }));
+    },
+
+    async ping() {
+      await run((client) => client.ping());
+    },
+
+    async close() {
+      if (pool.isOpen) {
+        await pool.close();
+      } else {
+        pool.destroy();
+      }
+    },
+  };
+}
+
+module.exports = {
+  isRedisUrl,
+  isRedisConfigured,
+  createRedisStore,
+};
@@ -0,0 +1,202 @@
+const path = require('path');
+const { toCount } = require('./common');
+const { toRegisters, addHash, mergeRegisters, estimate } = require('./hyperloglog');
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (e) {
+    throw new Error('better-sqlite3 package not available, install it to use SQLite storage');
+  }
+}
+
+function createSqliteStore({
+  filePath = process.env.SQLITE_PATH || path.join(__dirname, '..', 'counter.db'),
+  logger = console,
+} = {}) {
+  const Database = loadDriver();
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS counters (
+      name TEXT PRIMARY KEY,
+      value INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS history (
+      name TEXT NOT NULL,
+      granularity TEXT NOT NULL,
+      bucket TEXT NOT NULL,
+      value INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (name, granularity, bucket)
+    );
+    CREATE TABLE IF NOT EXISTS visitors (
+      name TEXT PRIMARY KEY,
+      registers BLOB NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS owners (
+      name TEXT PRIMARY KEY,
+      token_hash TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS cooldowns (
+      key TEXT PRIMARY KEY,
+      expires_at INTEGER NOT NULL
+    );
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT value FROM counters WHERE name = ?'),
+    increment: db.prepare(`
+      INSERT INTO counters (name, value) VALUES (?, ?)
+      ON CONFLICT(name) DO UPDATE SET value = value + excluded.value
+      RETURNING value
+    `),
+    set: db.prepare(`
+      INSERT INTO counters (name, value) VALUES (?, ?)
+      ON CONFLICT(name) DO UPDATE SET value = excluded.value
+    `),
+    list: db.prepare('SELECT name, value FROM counters ORDER BY name'),
+    delete: db.prepare('DELETE FROM counters WHERE name = ?'),
+    deleteHistory: db.prepare('DELETE FROM history WHERE name = ?'),
+    deleteVisitors: db.prepare('DELETE FROM visitors WHERE name = ?'),
+    incrementBucket: db.prepare(`
+      INSERT INTO history (name, granularity, bucket, value) VALUES (?, ?, ?, ?)
+      ON CONFLICT(name, granularity, bucket) DO UPDATE SET value = value + excluded.value
+    `),
+    getBuckets: db.prepare('SELECT bucket, value FROM history WHERE name = ? AND granularity = ?'),
+    deleteBucket: db.prepare('DELETE FROM history WHERE name = ? AND granularity = ? AND bucket = ?'),
+    getVisitors: db.prepare('SELECT registers FROM visitors WHERE name = ?'),
+    setVisitors: db.prepare(`
+      INSERT INTO visitors (name, registers) VALUES (?, ?)
+      ON CONFLICT(name) DO UPDATE SET registers = excluded.registers
+    `),
+    claimCooldown: db.prepare(`
+      INSERT INTO cooldowns (key, expires_at) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET expires_at = excluded.expires_at
+      WHERE cooldowns.expires_at <= ?
+    `),
+    purgeCooldowns: db.prepare('DELETE FROM cooldowns WHERE expires_at <= ?'),
+    claimOwner: db.prepare('INSERT INTO owners (name, token_hash) VALUES (?, ?) ON CONFLICT(name) DO NOTHING'),
+    getOwner: db.prepare('SELECT token_hash FROM owners WHERE name = ?'),
+    listOwners: db.prepare('SELECT name, token_hash FROM owners ORDER BY name'),
+    ping: db.prepare('SELECT 1'),
+  };
+
+  const deleteBuckets = db.transaction((name, granularity, buckets) => {
+    for (const bucket of buckets) statements.deleteBucket.run(name, granularity, bucket);
+  });
+
+  const addVisitor = db.transaction((name, visitorHash) => {
+    const row = statements.getVisitors.get(name);
+    const registers = toRegisters(row && row.registers);
+    if (!addHash(registers, visitorHash)) return false;
+    statements.setVisitors.run(name, registers);
+    return true;
+  });
+
+  const mergeVisitors = db.transaction((name, registers) => {
+    const row = statements.getVisitors.get(name);
+    const merged = toRegisters(row && row.registers);
+    if (mergeRegisters(merged, registers)) statements.setVisitors.run(name, merged);
+  });
+
+  const deleteCounter = db.transaction((name) => {
+    statements.deleteHistory.run(name);
+    statements.deleteVisitors.run(name);
+    return statements.delete.run(name).changes > 0;
+  });
+
+  let lastCooldownPurge = 0;
+
+  logger.log(`SQLite storage opened at ${filePath}`);
+
+  return {
+    type: 'sqlite',
+    filePath,
+    db,
+
+    async get(name) {
+      const row = statements.get.get(name);
+      return row ? toCount(row.value) : 0;
+    },
+
+    async increment(name, by = 1) {
+      return toCount(statements.increment.get(name, by).value);
+    },
+
+    async set(name, value) {
+      statements.set.run(name, toCount(value));
+    },
+
+    async list() {
+      return statements.list.all().map((row) => ({ name: row.name, value: toCount(row.value) }));
+    },
+
+    async delete(name) {
+      return deleteCounter(name);
+    },
+
+    async incrementBucket(name, granularity, bucket, by = 1) {
+      statements.incrementBucket.run(name, granularity, bucket, by);
+    },
+
+    async getBuckets(name, granularity) {
+      const rows = statements.getBuckets.all(name, granularity);
+      return Object.fromEntries(rows.map((row) => [row.bucket, toCount(row.value)]));
+    },
+
+    async deleteBuckets(name, granularity, buckets) {
+      deleteBuckets(name, granularity, buckets);
+    },
+
+    async addVisitor(name, visitorHash) {
+      return addVisitor.immediate(name, visitorHash);
+    },
+
+    async countVisitors(name) {
+      const row = statements.getVisitors.get(name);
+      return row ? estimate(toRegisters(row.registers)) : 0;
+    },
+
+    async getVisitorRegisters(name) {
+      const row = statements.getVisitors.get(name);
+      return row ? toRegisters(row.registers) : null;
+    },
+
+    async mergeVisitorRegisters(name, registers) {
+      mergeVisitors.immediate(name, registers);
+    },
+
+    async claimCooldown(key, ttlMs) {
+      const now = Date.now();
+      if (now - lastCooldownPurge > 60 * 1000) {
+        lastCooldownPurge = now;
+        statements.purgeCooldowns.run(now);
+      }
+      return statements.claimCooldown.run(key, now + ttlMs, now).changes > 0;
+    },
+
+    async claimOwner(name, tokenHash) {
+      return statements.claimOwner.run(name, tokenHash).changes > 0;
+    },
+
+    async getOwner(name) {
+      const row = statements.getOwner.get(name);
+      return row ? row.token_hash : null;
+    },
+
+    async listOwners() {
+      return statements.listOwners.all().map((row) => ({ name: row.name, tokenHash: row.token_hash }));
+    },
+
+    async ping() {
+      statements.ping.get();
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,221 @@
+const {
+  counterKeyPrefix,
+  counterKey,
+  historyKey,
+  visitorsKey,
+  cooldownKey,
+  ownerKeyPrefix,
+  ownerKey,
+  toCount,
+  sortByName,
+} = require('./common');
+const { granularities } = require('./history');
+
+let Redis;
+try {
+  const upstashRedis = require('@upstash/redis');
+  Redis = upstashRedis.Redis;
+} catch (e) {
+  console.warn('@upstash/redis package not available, using file system storage');
+}
+
+const legacyStoreKey = 'counters';
+const legacyBackupKey = 'counters:legacy';
+
+const migrateLegacyStoreScript = `
+local raw = redis.call('GET', KEYS[1])
+if not raw then return 0 end
+local data = cjson.decode(raw)
+local migrated = 0
+for name, value in pairs(data) do
+  if type(value) == 'number' and value > 0 then
+    redis.call('INCRBY', ARGV[1] .. name, math.floor(value))
+    migrated = migrated + 1
+  end
+end
+redis.call('RENAME', KEYS[1], KEYS[2])
+return migrated
+`;
+
+function isUpstashConfigured() {
+  return !!(Redis && (
+    process.env.UPSTASH_REDIS_REST_URL ||
+    process.env.UPSTASH_REDIS_REST_TOKEN ||
+    process.env.KV_REST_API_URL ||
+    process.env.KV_REST_API_TOKEN ||
+    (process.env.REDIS_URL && process.env.REDIS_URL.startsWith('https://'))
+  ));
+}
+
+function createUpstashClient(logger = console) {
+  if (!Redis) return null;
+
+  try {
+    if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
+      const client = new Redis({
+        url: process.env.KV_REST_API_URL,
+        token: process.env.KV_REST_API_TOKEN,
+      });
+      logger.log('Upstash Redis initialized successfully (KV_REST_API_URL)');
+      logger.log('   Redis URL: Set');
+      logger.log('   Redis Token: Set');
+      return client;
+    }
+    if (process.env.UPSTASH_REDIS_REST_URL || process.env.UPSTASH_REDIS_REST_TOKEN) {
+      const client = Redis.fromEnv();
+      logger.log('Upstash Redis initialized successfully (fromEnv)');
+      logger.log('   Redis URL:', process.env.UPSTASH_REDIS_REST_URL ? 'Set' : 'Not set');
+      logger.log('   Redis Token:', process.env.UPSTASH_REDIS_REST_TOKEN ? 'Set' : 'Not set');
+      return client;
+    }
+    if (process.env.REDIS_URL && process.env.REDIS_URL.startsWith('https://')) {
+      const client = new Redis({
+        url: process.env.REDIS_URL,
+        token: process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || process.env.REDIS_TOKEN,
+      });
+      logger.log('Redis initialized successfully (REDIS_URL - Upstash REST API)');
+      logger.log('   Redis URL: Set');
+      logger.log('   Redis Token:', (process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || process.env.REDIS_TOKEN) ? 'Set' : 'Not set');
+      return client;
+    }
+    logger.warn('Redis environment variables not properly configured');
+    logger.warn('   KV_REST_API_URL:', process.env.KV_REST_API_URL ? 'Set' : 'Not set');
+    logger.warn('   KV_REST_API_TOKEN:', process.env.KV_REST_API_TOKEN ? 'Set' : 'Not set');
+    return null;
+  } catch (err) {
+    logger.error('Failed to initialize Redis:', err);
+    logger.error('   Error details:', err.message);
+    return null;
+  }
+}
+
+function createUpstashStore({ logger = console, client = createUpstashClient(logger) } = {}) {
+  if (!client) {
+    throw new Error('Upstash Redis is not configured');
+  }
+
+  let migrationPromise = null;
+
+  function ensureMigrated() {
+    if (!migrationPromise) {
+      migrationPromise = client
+        .eval(migrateLegacyStoreScript, [legacyStoreKey, legacyBackupKey], [counterKeyPrefix])
+        .then((migrated) => {
+          if (migrated > 0) {
+            logger.log(`Migrated ${migrated} counters from "${legacyStoreKey}" to per-name keys`);
+          }
+        })
+        .catch((err) => {
+          logger.error('Failed to migrate legacy counters:', err);
+          migrationPromise = null;
+        });
+    }
+    return migrationPromise;
+  }
+
+  async function scanValues(prefix) {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await client.scan(cursor, { match: `${prefix}*`, count: 500 });
+      cursor = String(nextCursor);
+      keys.push(...batch);
+    } while (cursor !== '0');
+
+    const entries = [];
+    for (let i = 0; i < keys.length; i += 100) {
+      const chunk = keys.slice(i, i + 100);
+      const values = await client.mget(...chunk);
+      chunk.forEach((key, idx) => {
+        entries.push({ name: key.slice(prefix.length), value: values[idx] });
+      });
+    }
+    return sortByName(entries);
+  }
+
+  return {
+    type: 'upstash',
+    client,
+
+    async get(name) {
+      await ensureMigrated();
+      return toCount(await client.get(counterKey(name)));
+    },
+
+    async increment(name, by = 1) {
+      await ensureMigrated();
+      return toCount(await client.incrby(counterKey(name), by));
+    },
+
+    async set(name, value) {
+      await ensureMigrated();
+      await client.set(counterKey(name), toCount(value));
+    },
+
+    async list() {
+      await ensureMigrated();
+      const entries = await scanValues(counterKeyPrefix);
+      return entries.map(({ name, value }) => ({ name, value: toCount(value) }));
+    },
+
+    async delete(name) {
+      await ensureMigrated();
+      const historyKeys = Object.keys(granularities).map((granularity) => historyKey(name, granularity));
+      await client.del(...historyKeys, visitorsKey(name));
+      return (await client.del(counterKey(name))) > 0;
+    },
+
+    async incrementBucket(name, granularity, bucket, by = 1) {
+      await client.hincrby(historyKey(name, granularity), bucket, by);
+    },
+
+    async getBuckets(name, granularity) {
+      const buckets = (await client.hgetall(historyKey(name, granularity))) || {};
+      return Object.fromEntries(Object.entries(buckets).map(([bucket, count]) => [bucket, toCount(count)]));
+    },
+
+    async deleteBuckets(name, granularity, buckets) {
+      if (!buckets.length) return;
+      await client.hdel(historyKey(name, granularity), ...buckets);
+    },
+
+    async addVisitor(name, visitorHash) {
+      return (await client.pfadd(visitorsKey(name), visitorHash)) === 1;
+    },
+
+    async countVisitors(name) {
+      return toCount(await client.pfcount(visitorsKey(name)));
+    },
+
+    async claimCooldown(key, ttlMs) {
+      return (await client.set(cooldownKey(key), 1, { nx: true, px: ttlMs })) === 'OK';
+    },
+
+    async claimOwner(name, tokenHash) {
+      return (await client.set(ownerKey(name), tokenHash, { nx: true })) === 'OK';
+    },
+
+    async getOwner(name) {
+      const tokenHash = await client.get(ownerKey(name));
+      return tokenHash ? String(tokenHash) : null;
+    },
+
+    async listOwners() {
+      const entries = await scanValues(ownerKeyPrefix);
+      return entries.filter(({ value }) => value).map(({ name, value }) => ({ name, tokenHash: String(value) }));
+    },
+
+    async ping() {
+      await client.get('__health_check__');
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = {
+  Redis,
+  isUpstashConfigured,
+  createUpstashClient,
+  createUpstashStore,
+};
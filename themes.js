@@ -0,0 +1,151 @@
+const { loadCharacters } = require('./characters');
+
+const lightPalette = {
+  bg: '#f4efe0',
+  frame: '#222222',
+  digitBg: '#ffe6b3',
+  digitBorder: '#111111',
+  text: '#222222',
+};
+
+const darkPalette = {
+  bg: '#1f242b',
+  frame: '#f8f8f8',
+  digitBg: '#384453',
+  digitBorder: '#f8f8f8',
+  text: '#fdfdfd',
+};
+
+// Fonts that can be picked with `font=`. `advance` is the glyph width in em
+// used to measure plain text, and `scale` evens out how large each font looks
+// at the same font size.
+const fonts = {
+  'press-start-2p': {
+    family: 'Press Start 2P',
+    fallback: "'VT323', 'Courier New', monospace",
+    file: 'press-start-2p.woff2',
+    advance: 1,
+    scale: 1,
+  },
+  vt323: {
+    family: 'VT323',
+    fallback: "'Courier New', monospace",
+    file: 'vt323.woff2',
+    advance: 0.4,
+    scale: 1.6,
+  },
+  silkscreen: {
+    family: 'Silkscreen',
+    fallback: "'Courier New', monospace",
+    file: 'silkscreen.woff2',
+    advance: 0.7,
+    scale: 1.2,
+  },
+  mono: {
+    family: null,
+    fallback: "'Courier New', Courier, monospace",
+    file: null,
+    advance: 0.6,
+    scale: 1.5,
+  },
+};
+
+const fontNames = Object.keys(fonts);
+
+// Backdrops for `scene=`, cropped to the counter by the renderer.
+const scenes = {
+  'bus-stop': { file: 'background.jpg' },
+  road: { file: 'background1.jpg' },
+  town: { file: 'background2.webp' },
+  gang: { file: 'southpark.jpg' },
+};
+
+const sceneNames = Object.keys(scenes);
+
+// A theme lays out one cell per displayed character. Themes with `characters`
+// (see assets/characters.json) draw a character image behind each digit, using
+// the character's scale, digit anchor (fraction of the cell), rotation and
+// optional text colour; themes without them draw plain digit cards from the
+// palette's digitBg/digitBorder. `plain` sizes text drawn with no character or
+// card behind it.
+const themes = {
+  southpark: {
+    name: 'southpark',
+    font: { ...fonts['press-start-2p'], sizeRatio: 0.28 },
+    palettes: { light: lightPalette, dark: darkPalette },
+    cell: { width: 140, height: 112, gap: 0 },
+    plain: { scale: 0.6, anchorY: 0.7 },
+    characters: loadCharacters(),
+  },
+  classic: {
+    name: 'classic',
+    font: { ...fonts.mono, sizeRatio: 0.62 },
+    palettes: { light: lightPalette, dark: darkPalette },
+    cell: { width: 72, height: 100, gap: 8, radius: 10, borderWidth: 4 },
+    plain: { scale: 1, anchorY: 0.5 },
+    characters: [],
+  },
+};
+
+const themeNames = Object.keys(themes);
+
+function getTheme(name) {
+  return Object.prototype.hasOwnProperty.call(themes, name) ? themes[name] : null;
+}
+
+// Swaps a theme's font, keeping the theme's text size relative to its cells.
+function withFont(theme, fontName) {
+  const font = fonts[fontName];
+  if (!font || font.file === theme.font.file) return theme;
+  return {
+    ...theme,
+    font: { ...font, sizeRatio: (theme.font.sizeRatio * font.scale) / theme.font.scale },
+  };
+}
+
+function parseOrder(orderStr, theme) {
+  if (!orderStr) return null;
+  const keys = orderStr
+    .split(',')
+    .map((k) => k.trim().toLowerCase())
+    .filter(Boolean);
+  const seen = new Set();
+  const resolved = [];
+  for (const rawKey of keys) {
+    const key = rawKey.replace(/\s+/g, '-');
+    const character = theme.characters.find((c) => c.key === key);
+    if (character && !seen.has(character.key)) {
+      seen.add(character.key);
+      resolved.push(character);
+    }
+  }
+  return resolved.length ? resolved : null;
+}
+
+// map=value needs one entry per digit 0-9. Keys may repeat, so a short cast
+// can still cover every digit; anything other than ten known keys is rejected.
+function parseDigitMap(digitMapStr, theme) {
+  const keys = digitMapStr.split(',').map((k) => k.trim().toLowerCase().replace(/\s+/g, '-'));
+  if (keys.length !== 10) return null;
+  const resolved = keys.map((key) => theme.characters.find((c) => c.key === key));
+  return resolved.every(Boolean) ? resolved : null;
+}
+
+function defaultDigitMap(characters) {
+  if (!characters.length) return [];
+  return Array.from({ length: 10 }, (_, digit) => characters[digit % characters.length]);
+}
+
+module.exports = {
+  fonts,
+  fontNames,
+  scenes,
+  sceneNames,
+  withFont,
+  themes,
+  themeNames,
+  getTheme,
+  parseOrder,
+  parseDigitMap,
+  defaultDigitMap,
+};